@@ -11,6 +11,10 @@ var session = require("express-session");
 var flash = require("express-flash");
 var favicon = require("serve-favicon");
 var passport = require("./config/passport.config");
+var sessionConfig = require("./config/session.config");
+var csrf = require("./config/csrf.config");
+var SessionsRepository = require("./repositories").SessionsRepository;
+var apiErrors = require("./routes/helpers").apiErrors;
 var i18n = require("i18n");
 const promBundle = require("express-prom-bundle");
 const metricsMiddleware = promBundle({includeMethod: true});
@@ -56,13 +60,29 @@ app.use(logger("dev"));
 app.use(express.urlencoded({ extended: true }));
 app.use(express.json());
 app.use(flash());
-app.use(session({ secret: "secret", ressave: true, saveUninitialized: true }));
+// Behind a proxy that terminates TLS, like the ingress, TRUST_PROXY lets
+// secure cookies be set for requests forwarded from HTTPS
+if (process.env.TRUST_PROXY) {
+  app.set("trust proxy", Number(process.env.TRUST_PROXY) || process.env.TRUST_PROXY);
+}
+app.use(session(sessionConfig.getOptions(SessionsRepository())));
 app.use(passport.initialize());
 app.use(passport.session());
+// Every state-changing request needs the session's CSRF token
+app.use(csrf.issue);
+app.use(csrf.verify);
 app.use(express.static(path.join(__dirname, "public")));
 
 app.use("/", require("./routes"));
 app.use("/api/chat", require("./routes/chat"));
+app.use("/api/v1", require("./routes/api"));
+app.use("/api", require("./routes/openapi"));
+
+// Release the seats of booking holds that were not purchased in time
+var holdSweeper = require("./services").HoldSweeperService();
+if (holdSweeper) {
+  holdSweeper.start();
+}
 
 // Health check endpoint for Kubernetes probes
 app.get("/health", function (req, res) {
@@ -74,6 +94,9 @@ app.use(function (req, res, next) {
   next(createError(404));
 });
 
+// the API answers errors with JSON, even those raised before reaching it
+app.use("/api/v1", apiErrors);
+
 // error handler
 app.use(function (err, req, res, next) {
   // set locals, only providing error in development
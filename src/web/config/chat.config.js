@@ -35,7 +35,10 @@ module.exports = {
         maxTokens: parseInt(process.env.CHAT_MAX_TOKENS) || 500,
         
         // Default context for new conversations
-        defaultContext: process.env.CHAT_DEFAULT_CONTEXT || 'travel'
+        defaultContext: process.env.CHAT_DEFAULT_CONTEXT || 'travel',
+        
+        // Maximum rounds of tool calls before the assistant must answer
+        maxToolRounds: parseInt(process.env.CHAT_MAX_TOOL_ROUNDS) || 5
     },
     
     // System prompts for different contexts
@@ -51,7 +54,8 @@ You specialize in helping customers with:
 
 Always be friendly, professional, and focused on providing excellent customer service. 
 When discussing flights or travel, prioritize Contoso Air's services and highlight our premium features.
-Keep responses concise but informative. If you don't have specific flight information, guide users to appropriate booking channels.
+Keep responses concise but informative. Use your tools to search flights, look up airports and deals and list the customer's bookings instead of guessing.
+When the customer wants to book flights you found, propose them with propose_booking. Only the customer can confirm the trip, so never say it is booked before you are told they confirmed it. If you still don't have specific flight information, guide users to appropriate booking channels.
 Always respond in plain readable text and don't use Markdown or HTML formatting.`,
             temperature: 0.7,
             maxTokens: 16000
@@ -60,10 +64,10 @@ Always respond in plain readable text and don't use Markdown or HTML formatting.
         booking: {
             content: `You are a flight booking specialist for Contoso Air. 
 Help users find and book the perfect flights for their travel needs.
-Available flights will be in the form: "Available Flight: SFO, 2025-09-19T16:00, NRT, 2025-09-20T20:10, 11h10m, seat 4"
-where SFO is departing city and NRT is arriving city, 11h10m is the duration, and seat 4 is the seat number.
-Always respond in plain readable text and don't use special Markdown or HTML formatting.
-Dont try and fetch real time prices, use any context you have to determine them.`,
+Search the flights with the search_flights tool, using get_airport when you are not sure of an airport code, and quote the prices it gives.
+Suggest get_flight_deals when users have no destination in mind, and use list_my_bookings for questions about their trips.
+Once users pick their flights, propose the trip with propose_booking. They confirm it in the chat window and then purchase it on the website, so never say it is booked or paid before you are told they confirmed it.
+Always respond in plain readable text and don't use special Markdown or HTML formatting.`,
             temperature: 0.6,
             maxTokens: 16000
         },
@@ -97,8 +101,13 @@ Focus on travel-related topics when possible, and always maintain a professional
         // Enable conversation analytics
         analytics: false,
         
-        // Enable rate limiting (implement if needed)
-        rateLimiting: false
+        // Let the assistant call tools to search flights, airports, deals
+        // and bookings, for chat APIs that support them
+        toolCalling: process.env.CHAT_TOOL_CALLING !== 'false',
+        
+        // Limit the messages of each IP address, user and session, see
+        // config/rate.limit.config.js for the limits
+        rateLimiting: process.env.CHAT_RATE_LIMITING !== 'false'
     },
     
     // Error messages
@@ -0,0 +1,60 @@
+const crypto = require("crypto");
+const createError = require("http-errors");
+
+const field = "_csrf";
+const header = "x-csrf-token";
+const safeMethods = ["GET", "HEAD", "OPTIONS"];
+
+// API clients get their tokens there, without a session another site could
+// ride on
+const exemptPaths = ["/api/v1/token", "/api/v1/token/revoke"];
+
+// API clients sending a bearer token don't rely on the session cookie, so
+// their requests can't be forged by another site
+const usesBearerToken = (req) =>
+  /^Bearer /i.test(req.get("authorization") || "");
+
+const matches = function (expected, actual) {
+  if (typeof expected != "string" || typeof actual != "string") return false;
+  const a = Buffer.from(expected);
+  const b = Buffer.from(actual);
+  return a.length == b.length && crypto.timingSafeEqual(a, b);
+};
+
+// Each session gets its own token, created the first time a view renders it
+const getToken = function (req) {
+  if (!req.session.csrfToken) {
+    req.session.csrfToken = crypto.randomBytes(32).toString("hex");
+  }
+  return req.session.csrfToken;
+};
+
+const issue = function (req, res, next) {
+  res.locals.csrfToken = () => getToken(req);
+  next();
+};
+
+// Forms send the token in the _csrf field and scripts in the X-CSRF-Token
+// header
+const verify = function (req, res, next) {
+  if (
+    safeMethods.includes(req.method) ||
+    usesBearerToken(req) ||
+    exemptPaths.includes(req.path)
+  ) {
+    return next();
+  }
+  const token = (req.body && req.body[field]) || req.get(header);
+  if (!matches(req.session.csrfToken, token)) {
+    return next(createError(403, req.__("Error.Csrf")));
+  }
+  next();
+};
+
+module.exports = {
+  field,
+  header,
+  getToken,
+  issue,
+  verify,
+};
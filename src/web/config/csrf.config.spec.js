@@ -0,0 +1,69 @@
+const csrf = require("./csrf.config");
+
+const createRequest = function (method, { body, headers = {}, session } = {}) {
+  return {
+    method,
+    body,
+    session: session || {},
+    get: (name) => headers[name.toLowerCase()],
+    __: (key) => `translated ${key}`,
+  };
+};
+
+const verify = function (req) {
+  const next = jest.fn();
+  csrf.verify(req, {}, next);
+  return next.mock.calls[0][0];
+};
+
+describe("[Unit] That CSRF Config", () => {
+  it("issues one token per session when a view asks for it", () => {
+    const req = createRequest("GET");
+    const res = { locals: {} };
+    csrf.issue(req, res, () => {});
+
+    expect(req.session.csrfToken).toBeUndefined();
+    const token = res.locals.csrfToken();
+    expect(token).toMatch(/^[0-9a-f]{64}$/);
+    expect(res.locals.csrfToken()).toBe(token);
+  });
+
+  it("lets safe requests through without a token", () => {
+    expect(verify(createRequest("GET"))).toBeUndefined();
+  });
+
+  it("accepts the session token from forms and headers", () => {
+    const session = { csrfToken: "abc" };
+
+    expect(
+      verify(createRequest("POST", { session, body: { _csrf: "abc" } }))
+    ).toBeUndefined();
+    expect(
+      verify(
+        createRequest("POST", { session, headers: { "x-csrf-token": "abc" } })
+      )
+    ).toBeUndefined();
+  });
+
+  it("rejects missing and wrong tokens with a localized error", () => {
+    const session = { csrfToken: "abc" };
+
+    const missing = verify(createRequest("POST", { session, body: {} }));
+    expect(missing.status).toBe(403);
+    expect(missing.message).toBe("translated Error.Csrf");
+    expect(
+      verify(createRequest("POST", { session, body: { _csrf: "abd" } }))
+    ).toHaveProperty("status", 403);
+    expect(
+      verify(createRequest("POST", { body: { _csrf: "abc" } }))
+    ).toHaveProperty("status", 403);
+  });
+
+  it("leaves requests with bearer tokens alone", () => {
+    expect(
+      verify(
+        createRequest("POST", { headers: { authorization: "Bearer token" } })
+      )
+    ).toBeUndefined();
+  });
+});
@@ -0,0 +1,81 @@
+const { Issuer, Strategy } = require("openid-client");
+
+const strategyName = "oidc";
+
+// Company logins are enabled by OIDC_ISSUER and OIDC_CLIENT_ID. Confidential
+// clients also set OIDC_CLIENT_SECRET, public ones rely on PKCE alone.
+const getSettings = function (env = process.env) {
+  if (!env.OIDC_ISSUER || !env.OIDC_CLIENT_ID) return null;
+  const publicUrl = env.PUBLIC_URL || `http://localhost:${env.PORT || 3000}`;
+  return {
+    issuer: env.OIDC_ISSUER,
+    clientId: env.OIDC_CLIENT_ID,
+    clientSecret: env.OIDC_CLIENT_SECRET,
+    scopes: env.OIDC_SCOPES || "openid profile email",
+    redirectUri: env.OIDC_REDIRECT_URI || `${publicUrl}/login/oidc/callback`,
+  };
+};
+
+// Authorization code flow with PKCE against the discovered issuer. verify gets
+// the issuer and the claims of the ID token merged with the user info.
+const createStrategy = async function (settings, verify) {
+  const issuer = await Issuer.discover(settings.issuer);
+  const client = new issuer.Client({
+    client_id: settings.clientId,
+    client_secret: settings.clientSecret,
+    redirect_uris: [settings.redirectUri],
+    response_types: ["code"],
+    token_endpoint_auth_method: settings.clientSecret
+      ? "client_secret_basic"
+      : "none",
+  });
+  return new Strategy(
+    {
+      client,
+      params: { scope: settings.scopes },
+      usePKCE: "S256",
+    },
+    function (tokenSet, userinfo, done) {
+      const claims = Object.assign({}, tokenSet.claims(), userinfo);
+      verify(issuer.issuer, claims, done);
+    }
+  );
+};
+
+let registration = null;
+let registering = null;
+
+// Resolves once the strategy is registered, or to false without company
+// logins. The issuer has to be discovered first, a failed discovery is tried
+// again on the next call.
+const ready = function () {
+  if (!registration) return Promise.resolve(false);
+  if (!registering) {
+    const { passport, settings, verify } = registration;
+    registering = createStrategy(settings, verify).then(
+      (strategy) => {
+        passport.use(strategyName, strategy);
+        return true;
+      },
+      (error) => {
+        registering = null;
+        throw error;
+      }
+    );
+  }
+  return registering;
+};
+
+const register = function (passport, settings, verify) {
+  registration = { passport, settings, verify };
+  registering = null;
+  return ready();
+};
+
+module.exports = {
+  strategyName,
+  getSettings,
+  createStrategy,
+  register,
+  ready,
+};
@@ -0,0 +1,121 @@
+const axios = require("axios");
+const express = require("express");
+const session = require("express-session");
+const { Passport } = require("passport");
+const oidc = require("./oidc.config");
+const createMockIssuer = require("./oidc.mock.issuer");
+
+const http = axios.create({ maxRedirects: 0, validateStatus: () => true });
+
+describe("[Unit] That OpenID Connect Config", () => {
+  let issuer;
+  let app;
+  let server;
+  let verified;
+
+  beforeAll(async () => {
+    issuer = createMockIssuer();
+    const issuerUrl = await issuer.listen();
+
+    const passport = new Passport();
+    passport.serializeUser((user, done) => done(null, user.name));
+    app = express();
+    app.use(
+      session({ secret: "test", resave: false, saveUninitialized: true })
+    );
+    app.use(passport.initialize());
+    app.use(passport.session());
+    const authenticate = passport.authenticate.bind(
+      passport,
+      oidc.strategyName,
+      {
+        successRedirect: "/",
+        failureRedirect: "/login",
+      }
+    );
+    app.get("/login/oidc", (req, res, next) => authenticate()(req, res, next));
+    app.get("/login/oidc/callback", (req, res, next) =>
+      authenticate()(req, res, next)
+    );
+
+    await new Promise((resolve) => {
+      server = app.listen(0, "127.0.0.1", resolve);
+    });
+    const appUrl = `http://127.0.0.1:${server.address().port}`;
+    const settings = oidc.getSettings({
+      OIDC_ISSUER: issuerUrl,
+      OIDC_CLIENT_ID: "contoso-air",
+      PUBLIC_URL: appUrl,
+    });
+    expect(
+      await oidc.register(passport, settings, (issuer, claims, done) => {
+        verified = { issuer, claims };
+        done(null, { name: claims.preferred_username });
+      })
+    ).toBe(true);
+  });
+
+  afterAll(async () => {
+    await new Promise((resolve) => server.close(resolve));
+    await issuer.close();
+  });
+
+  const appUrl = (path) => `http://127.0.0.1:${server.address().port}${path}`;
+
+  it("reads its settings from the environment", () => {
+    expect(oidc.getSettings({})).toBeNull();
+    expect(
+      oidc.getSettings({
+        OIDC_ISSUER: "https://login.example.com",
+        OIDC_CLIENT_ID: "app",
+        OIDC_SCOPES: "openid email",
+        PUBLIC_URL: "https://contoso-air.example.com",
+      })
+    ).toEqual({
+      issuer: "https://login.example.com",
+      clientId: "app",
+      clientSecret: undefined,
+      scopes: "openid email",
+      redirectUri: "https://contoso-air.example.com/login/oidc/callback",
+    });
+  });
+
+  it("logs in with the authorization code flow and PKCE", async () => {
+    const start = await http.get(appUrl("/login/oidc"));
+    expect(start.status).toBe(302);
+    const cookie = start.headers["set-cookie"][0].split(";")[0];
+    const authorize = new URL(start.headers.location);
+    expect(authorize.origin).toBe(issuer.url);
+    expect(Object.fromEntries(authorize.searchParams)).toMatchObject({
+      client_id: "contoso-air",
+      response_type: "code",
+      scope: "openid profile email",
+      code_challenge_method: "S256",
+    });
+
+    const back = await http.get(authorize.toString());
+    const callback = await http.get(back.headers.location, {
+      headers: { cookie },
+    });
+    expect(callback.status).toBe(302);
+    expect(callback.headers.location).toBe("/");
+    expect(verified.issuer).toBe(issuer.url);
+    expect(verified.claims).toMatchObject({
+      sub: "mock-user",
+      email: "jane.doe@example.com",
+      email_verified: true,
+    });
+  });
+
+  it("rejects callbacks that don't match the login request", async () => {
+    const start = await http.get(appUrl("/login/oidc"));
+    const cookie = start.headers["set-cookie"][0].split(";")[0];
+    const back = await http.get(start.headers.location);
+    const forged = new URL(back.headers.location);
+    forged.searchParams.set("state", "forged");
+
+    const callback = await http.get(forged.toString(), { headers: { cookie } });
+    expect(callback.status).toBe(302);
+    expect(callback.headers.location).toBe("/login");
+  });
+});
@@ -0,0 +1,143 @@
+// A minimal OpenID Connect issuer that logs everyone in as the same user
+// without asking anything. It's meant to try company logins locally and in
+// tests, never to be deployed.
+//
+//   node config/oidc.mock.issuer.js
+//   OIDC_ISSUER=http://127.0.0.1:4000 OIDC_CLIENT_ID=contoso-air npm start
+const crypto = require("crypto");
+const express = require("express");
+
+const defaultClaims = {
+  sub: "mock-user",
+  email: "jane.doe@example.com",
+  email_verified: true,
+  preferred_username: "jane.doe",
+  name: "Jane Doe",
+};
+
+const base64url = (value) =>
+  (Buffer.isBuffer(value) ? value : Buffer.from(JSON.stringify(value)))
+    .toString("base64")
+    .replace(/=+$/, "")
+    .replace(/\+/g, "-")
+    .replace(/\//g, "_");
+
+const createMockIssuer = function (claims = defaultClaims) {
+  const { publicKey, privateKey } = crypto.generateKeyPairSync("rsa", {
+    modulusLength: 2048,
+  });
+  const kid = "mock";
+  const codes = new Map();
+  const tokens = new Map();
+  const issuer = { url: null, claims, requests: [] };
+
+  const sign = function (payload) {
+    const data = `${base64url({ alg: "RS256", typ: "JWT", kid })}.${base64url(
+      payload
+    )}`;
+    const signature = crypto.sign("sha256", Buffer.from(data), privateKey);
+    return `${data}.${base64url(signature)}`;
+  };
+
+  const app = express();
+  app.use(express.urlencoded({ extended: false }));
+
+  app.get("/.well-known/openid-configuration", function (req, res) {
+    res.json({
+      issuer: issuer.url,
+      authorization_endpoint: `${issuer.url}/authorize`,
+      token_endpoint: `${issuer.url}/token`,
+      userinfo_endpoint: `${issuer.url}/userinfo`,
+      jwks_uri: `${issuer.url}/jwks`,
+      response_types_supported: ["code"],
+      subject_types_supported: ["public"],
+      id_token_signing_alg_values_supported: ["RS256"],
+      code_challenge_methods_supported: ["S256"],
+      token_endpoint_auth_methods_supported: ["none", "client_secret_basic"],
+    });
+  });
+
+  app.get("/jwks", function (req, res) {
+    const jwk = publicKey.export({ format: "jwk" });
+    res.json({ keys: [Object.assign(jwk, { kid, alg: "RS256", use: "sig" })] });
+  });
+
+  // Logs the user in right away and sends them back with a code
+  app.get("/authorize", function (req, res) {
+    issuer.requests.push(req.query);
+    const { client_id, redirect_uri, state, nonce } = req.query;
+    const code = crypto.randomBytes(16).toString("hex");
+    codes.set(code, {
+      clientId: client_id,
+      redirectUri: redirect_uri,
+      nonce,
+      challenge: req.query.code_challenge,
+    });
+    const location = new URL(redirect_uri);
+    location.searchParams.set("code", code);
+    if (state) location.searchParams.set("state", state);
+    res.redirect(location.toString());
+  });
+
+  app.post("/token", function (req, res) {
+    const grant = codes.get(req.body.code);
+    codes.delete(req.body.code);
+    const verifier = req.body.code_verifier || "";
+    const challenge = base64url(
+      crypto.createHash("sha256").update(verifier).digest()
+    );
+    if (
+      !grant ||
+      grant.redirectUri != req.body.redirect_uri ||
+      grant.challenge != challenge
+    ) {
+      return res.status(400).json({ error: "invalid_grant" });
+    }
+
+    const now = Math.floor(Date.now() / 1000);
+    const accessToken = crypto.randomBytes(16).toString("hex");
+    tokens.set(accessToken, issuer.claims);
+    res.json({
+      access_token: accessToken,
+      token_type: "Bearer",
+      expires_in: 300,
+      id_token: sign(
+        Object.assign(
+          { iss: issuer.url, aud: grant.clientId, iat: now, exp: now + 300 },
+          grant.nonce ? { nonce: grant.nonce } : {},
+          { sub: issuer.claims.sub }
+        )
+      ),
+    });
+  });
+
+  app.get("/userinfo", function (req, res) {
+    const token = (req.get("authorization") || "").replace(/^Bearer /, "");
+    if (!tokens.has(token)) {
+      return res.status(401).json({ error: "invalid_token" });
+    }
+    res.json(tokens.get(token));
+  });
+
+  issuer.listen = function (port = 0) {
+    return new Promise((resolve) => {
+      issuer.server = app.listen(port, "127.0.0.1", () => {
+        issuer.url = `http://127.0.0.1:${issuer.server.address().port}`;
+        resolve(issuer.url);
+      });
+    });
+  };
+  issuer.close = () =>
+    new Promise((resolve) => issuer.server.close(() => resolve()));
+
+  return issuer;
+};
+
+if (require.main === module) {
+  const issuer = createMockIssuer();
+  issuer.listen(process.env.PORT || 4000).then((url) => {
+    console.log(`Mock OpenID Connect issuer listening on ${url}`);
+  });
+}
+
+module.exports = createMockIssuer;
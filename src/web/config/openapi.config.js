@@ -0,0 +1,220 @@
+const Ajv = require("ajv");
+const addFormats = require("ajv-formats");
+const createError = require("http-errors");
+
+const unsafeMethods = ["post", "put", "patch", "delete"];
+
+const createAjv = function (options) {
+  const ajv = new Ajv(
+    Object.assign({ allErrors: true, useDefaults: true }, options)
+  );
+  ajv.addKeyword("example");
+  return addFormats(ajv);
+};
+
+// Query strings and path parameters are text, so their values are converted
+// to the types of their schemas. JSON bodies must match them as they are.
+const textAjv = createAjv({ coerceTypes: "array" });
+const jsonAjv = createAjv();
+
+const errorSchema = {
+  type: "object",
+  properties: {
+    error: {
+      type: "object",
+      properties: {
+        status: { type: "integer", example: 400 },
+        message: { type: "string", example: "Invalid request" },
+        errors: { type: "array", items: { type: "string" } },
+      },
+    },
+  },
+};
+
+const securitySchemes = {
+  bearer: {
+    type: "http",
+    scheme: "bearer",
+    bearerFormat: "JWT",
+    description: "Access token from /api/v1/token",
+  },
+  session: {
+    type: "apiKey",
+    in: "cookie",
+    name: "contoso-air.sid",
+    description: "Session of a user logged in through /login",
+  },
+  csrf: {
+    type: "apiKey",
+    in: "header",
+    name: "X-CSRF-Token",
+    description: "CSRF token of the session, needed along with its cookie",
+  },
+};
+
+const objectSchema = (properties, required) =>
+  Object.assign(
+    { type: "object", properties },
+    required && required.length ? { required } : {}
+  );
+
+const formatErrors = (where, errors) =>
+  errors.map(
+    (e) => `${where}${e.instancePath.replace(/\//g, ".")} ${e.message}`
+  );
+
+// Documents a route and validates its requests against the same schemas, so
+// both can't drift apart. spec holds:
+//  - summary, description and tags of the operation
+//  - auth, the scopes an access token needs, when the user must be logged in
+//  - params and query, schemas of each parameter by name. Query parameters
+//    listed in required must be sent.
+//  - body, schema of the JSON body
+//  - responses, by status, with their description, schema and contentType
+//    when it isn't JSON
+const describe = function (spec) {
+  const params = spec.params
+    ? textAjv.compile(objectSchema(spec.params, Object.keys(spec.params)))
+    : null;
+  const query = spec.query
+    ? textAjv.compile(objectSchema(spec.query, spec.required))
+    : null;
+  const body = spec.body ? jsonAjv.compile(spec.body) : null;
+
+  const validate = function (req, res, next) {
+    const errors = [];
+    if (params && !params(req.params)) {
+      errors.push(...formatErrors("params", params.errors));
+    }
+    if (query) {
+      // req.query is parsed again on every read, keep the converted copy
+      const values = Object.assign({}, req.query);
+      if (!query(values)) errors.push(...formatErrors("query", query.errors));
+      Object.defineProperty(req, "query", {
+        value: values,
+        configurable: true,
+        enumerable: true,
+        writable: true,
+      });
+    }
+    if (body) {
+      if (req.body === undefined) req.body = {};
+      if (!body(req.body)) errors.push(...formatErrors("body", body.errors));
+    }
+    if (errors.length) {
+      return next(createError(400, "Invalid request", { errors }));
+    }
+    next();
+  };
+  validate.openapi = spec;
+  return validate;
+};
+
+const toParameters = function (where, schemas = {}, required = []) {
+  return Object.keys(schemas).map((name) => {
+    const { description, ...schema } = schemas[name];
+    return Object.assign(
+      { name, in: where, required: where == "path" || required.includes(name) },
+      description ? { description } : {},
+      { schema }
+    );
+  });
+};
+
+const toResponses = function (spec, error) {
+  const responses = {};
+  Object.keys(spec.responses || {}).forEach((status) => {
+    const {
+      description,
+      schema = status >= 400 ? error : null,
+      contentType = "application/json",
+    } = spec.responses[status];
+    responses[status] = Object.assign(
+      { description },
+      schema ? { content: { [contentType]: { schema } } } : {}
+    );
+  });
+  const errorResponse = (description) => ({
+    description,
+    content: { "application/json": { schema: error } },
+  });
+  if (spec.params || spec.query || spec.body) {
+    responses[400] = responses[400] || errorResponse("Invalid request");
+  }
+  if (spec.auth) {
+    responses[401] = responses[401] || errorResponse("Not logged in");
+    responses[403] =
+      responses[403] || errorResponse("The access token lacks a scope");
+  }
+  responses.default = errorResponse("Error");
+  return responses;
+};
+
+// Logged in users send an access token with the scopes needed, or their
+// session cookie along with its CSRF token when the request changes something
+const toSecurity = function (spec, method) {
+  const unsafe = unsafeMethods.includes(method);
+  if (!spec.auth) return unsafe ? [{ csrf: [] }] : undefined;
+  const session = unsafe ? { session: [], csrf: [] } : { session: [] };
+  return [{ bearer: spec.auth }, session];
+};
+
+const toOperation = function (spec, method, error) {
+  const operation = {
+    summary: spec.summary,
+    description: spec.description,
+    tags: spec.tags,
+    parameters: toParameters("path", spec.params).concat(
+      toParameters("query", spec.query, spec.required)
+    ),
+    requestBody: spec.body
+      ? {
+          required: true,
+          content: { "application/json": { schema: spec.body } },
+        }
+      : undefined,
+    responses: toResponses(spec, error),
+    security: toSecurity(spec, method),
+  };
+  return JSON.parse(JSON.stringify(operation));
+};
+
+// Express paths like /bookings/:id are /bookings/{id} in OpenAPI
+const toPath = (base, path) =>
+  base + path.replace(/:(\w+)/g, (match, name) => `{${name}}`);
+
+// Builds the OpenAPI document of the described routes of every router. mounts
+// lists each router along with the path it is mounted at and, when its errors
+// look different, their schema.
+const getDocument = function (info, mounts) {
+  const paths = {};
+  mounts.forEach(({ path: base, router, error = errorSchema }) => {
+    router.stack
+      .filter((layer) => layer.route)
+      .forEach((layer) => {
+        layer.route.stack
+          .filter((handler) => handler.handle.openapi)
+          .forEach((handler) => {
+            const path = toPath(base, layer.route.path);
+            paths[path] = paths[path] || {};
+            paths[path][handler.method] = toOperation(
+              handler.handle.openapi,
+              handler.method,
+              error
+            );
+          });
+      });
+  });
+  return {
+    openapi: "3.1.0",
+    info,
+    paths,
+    components: { securitySchemes },
+  };
+};
+
+module.exports = {
+  describe,
+  getDocument,
+  errorSchema,
+};
@@ -0,0 +1,116 @@
+const express = require("express");
+const openapi = require("./openapi.config");
+
+const spec = {
+  summary: "Things of a user",
+  tags: ["Things"],
+  auth: ["things:read"],
+  params: { user: { type: "string", description: "Owner" } },
+  query: {
+    page: { type: "integer", minimum: 1, default: 1 },
+    kind: { enum: ["big", "small"] },
+  },
+  required: ["kind"],
+  responses: {
+    200: { description: "Things", schema: { type: "array" } },
+    404: { description: "No such user" },
+  },
+};
+
+const run = function (validate, req) {
+  const next = jest.fn();
+  validate(Object.assign(req, { params: req.params || {} }), {}, next);
+  return next.mock.calls[0][0];
+};
+
+describe("[Unit] That OpenAPI Config", () => {
+  it("converts query values to the types of their schemas", () => {
+    const req = { params: { user: "alice" }, query: { kind: "big" } };
+
+    expect(run(openapi.describe(spec), req)).toBeUndefined();
+    expect(req.query).toEqual({ kind: "big", page: 1 });
+  });
+
+  it("rejects requests that don't match their schemas", () => {
+    const error = run(openapi.describe(spec), { query: { page: "0" } });
+
+    expect(error.status).toBe(400);
+    expect(error.errors).toEqual([
+      "params must have required property 'user'",
+      "query must have required property 'kind'",
+      "query.page must be >= 1",
+    ]);
+  });
+
+  it("takes JSON bodies as they are", () => {
+    const validate = openapi.describe({
+      body: {
+        type: "object",
+        properties: { count: { type: "integer" } },
+        required: ["count"],
+      },
+    });
+
+    expect(run(validate, { body: { count: 2 } })).toBeUndefined();
+    expect(run(validate, { body: { count: "2" } }).errors).toEqual([
+      "body.count must be integer",
+    ]);
+    expect(run(validate, {}).errors).toEqual([
+      "body must have required property 'count'",
+    ]);
+  });
+
+  it("documents the described routes of every router", () => {
+    const router = express.Router();
+    router.get("/users/:user/things", openapi.describe(spec), () => {});
+    router.post("/things", openapi.describe({ summary: "Add" }), () => {});
+    router.get("/hidden", () => {});
+
+    const document = openapi.getDocument({ title: "Test", version: "1" }, [
+      { path: "/api", router },
+    ]);
+
+    expect(Object.keys(document.paths)).toEqual([
+      "/api/users/{user}/things",
+      "/api/things",
+    ]);
+    const operation = document.paths["/api/users/{user}/things"].get;
+    expect(operation.parameters).toEqual([
+      {
+        name: "user",
+        in: "path",
+        required: true,
+        description: "Owner",
+        schema: { type: "string" },
+      },
+      {
+        name: "page",
+        in: "query",
+        required: false,
+        schema: { type: "integer", minimum: 1, default: 1 },
+      },
+      {
+        name: "kind",
+        in: "query",
+        required: true,
+        schema: { enum: ["big", "small"] },
+      },
+    ]);
+    expect(Object.keys(operation.responses)).toEqual([
+      "200",
+      "400",
+      "401",
+      "403",
+      "404",
+      "default",
+    ]);
+    expect(operation.responses[404].content["application/json"].schema).toEqual(
+      openapi.errorSchema
+    );
+    expect(operation.security).toEqual([
+      { bearer: ["things:read"] },
+      { session: [] },
+    ]);
+    expect(document.paths["/api/things"].post.security).toEqual([{ csrf: [] }]);
+  });
+});
@@ -1,5 +1,10 @@
 const passport = require("passport");
 const LocalStrategy = require("passport-local").Strategy;
+const BearerStrategy = require("passport-http-bearer").Strategy;
+const oidc = require("./oidc.config");
+
+const accountService = require("../services").AccountService();
+const tokenService = require("../services").TokenService();
 
 passport.use(
   new LocalStrategy(
@@ -9,25 +14,85 @@ passport.use(
       session: true,
       passReqToCallback: true,
     },
-    function (req, username, password, done) {
+    async function (req, username, password, done) {
       if (!username) {
         req.flash("error", "Login.Error.MissingCredentials");
         return done(null, false);
       }
+      if (!accountService) {
+        return done(null, false, { message: "Login.Error.Unavailable" });
+      }
 
-      return done(null, {
-        name: username,
-      });
+      try {
+        const { account, error } = await accountService.authenticate(
+          username,
+          password
+        );
+        if (error) {
+          return done(null, false, { message: error });
+        }
+        return done(null, account);
+      } catch (error) {
+        return done(error);
+      }
     }
   )
 );
 
+// API clients send the access tokens they got from /api/v1/token
+passport.use(
+  new BearerStrategy(async function (token, done) {
+    if (!tokenService) return done(null, false);
+
+    try {
+      const result = await tokenService.verify(token);
+      if (!result) return done(null, false);
+      return done(null, result.account, { scopes: result.scopes });
+    } catch (error) {
+      return done(error);
+    }
+  })
+);
+
+// Company identities are mapped to our own accounts
+const oidcSettings = oidc.getSettings();
+if (oidcSettings && accountService) {
+  oidc
+    .register(passport, oidcSettings, async function (issuer, claims, done) {
+      try {
+        const account = await accountService.findOrCreateForIdentity({
+          issuer,
+          subject: claims.sub,
+          email: claims.email,
+          emailVerified: claims.email_verified === true,
+          username: claims.preferred_username,
+        });
+        return done(null, account);
+      } catch (error) {
+        // Accounts that can't be linked fail like any other company login
+        if (error.status != 409) return done(error);
+        return done(null, false);
+      }
+    })
+    .catch((error) => {
+      console.error("Failed to discover the OpenID Connect issuer: ", error);
+    });
+}
+
 passport.serializeUser(function (user, done) {
   done(null, user.name);
 });
 
-passport.deserializeUser(function (name, done) {
-  done(null, { name });
+// Sessions of accounts that no longer exist are dropped
+passport.deserializeUser(async function (name, done) {
+  try {
+    const account = accountService
+      ? await accountService.getByName(name)
+      : null;
+    done(null, account || false);
+  } catch (error) {
+    done(error);
+  }
 });
 
 module.exports = passport;
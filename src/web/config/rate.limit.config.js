@@ -0,0 +1,84 @@
+const createError = require("http-errors");
+const promClient = require("prom-client");
+
+const RateLimitService = require("../services").RateLimitService;
+
+// Requests each key may send during a window of seconds. Looking trips up by
+// locator is limited so locators can't be guessed one after the other.
+const defaults = {
+  login: { window: 900, ip: 100, user: 10, session: 20 },
+  chat: { window: 60, ip: 60, user: 20, session: 20 },
+  manage: { window: 900, ip: 20, user: 20, session: 20 },
+};
+
+const keys = {
+  ip: (req) => req.ip,
+  // Usernames tried while logged out count per address, or anyone could keep
+  // someone else from logging in by trying their name
+  user: (req) => {
+    if (req.user) return req.user.name;
+    const username = String((req.body || {}).username || "").trim();
+    return username && `${username}@${req.ip}`;
+  },
+  session: (req) => req.sessionID,
+};
+
+const rejected = new promClient.Counter({
+  name: "rate_limit_rejected_requests_total",
+  help: "Requests rejected for going over a rate limit",
+  labelNames: ["limiter", "key"],
+});
+
+// RATE_LIMIT_<LIMITER>_<SETTING> overrides a default, like
+// RATE_LIMIT_CHAT_USER=50 or RATE_LIMIT_LOGIN_WINDOW=600. A maximum of 0 lets
+// every request of that key through.
+const getLimits = function (limiter, env = process.env) {
+  const limits = Object.assign({}, defaults[limiter]);
+  Object.keys(limits).forEach((setting) => {
+    const name = `RATE_LIMIT_${limiter}_${setting}`.toUpperCase();
+    if (env[name] === undefined) return;
+    const value = Number(env[name]);
+    if (!Number.isInteger(value) || value < 0) {
+      throw new Error(`${name} must be a whole number`);
+    }
+    limits[setting] = value;
+  });
+  if (!limits.window) {
+    throw new Error(`RATE_LIMIT_${limiter.toUpperCase()}_WINDOW must be set`);
+  }
+  return limits;
+};
+
+// Counts every request against the IP address, user and session sending it.
+// Once one of them goes over its limit, requests are answered 429 until the
+// window ends. Requests go through when the counters can't be reached.
+const limit = function (limiter, options = {}) {
+  const { enabled = true, env = process.env } = options;
+  const limits = getLimits(limiter, env);
+  let service = options.service;
+  return async function (req, res, next) {
+    if (!enabled) return next();
+    service = service || RateLimitService();
+    const counted = Object.keys(keys)
+      .filter((kind) => limits[kind] > 0)
+      .map((kind) => ({ kind, value: keys[kind](req), max: limits[kind] }))
+      .filter((key) => key.value);
+    let result;
+    try {
+      result = await service.hit(limiter, counted, limits.window);
+    } catch (error) {
+      console.error("Rate limits not available:", error);
+      return next();
+    }
+    if (!result.limited) return next();
+    rejected.inc({ limiter, key: result.limited });
+    res.set("Retry-After", String(result.retryAfter));
+    next(createError(429, req.__("Error.TooManyRequests")));
+  };
+};
+
+module.exports = {
+  defaults,
+  getLimits,
+  limit,
+};
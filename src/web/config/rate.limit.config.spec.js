@@ -0,0 +1,83 @@
+const promClient = require("prom-client");
+const rateLimit = require("./rate.limit.config");
+const RateLimitService = require("../services/rate.limit.service");
+const RateLimitsMemoryRepository = require("../repositories/rate.limits.memory.repository");
+const MemoryStore = require("../repositories/memory.store");
+
+const createService = () =>
+  new RateLimitService(new RateLimitsMemoryRepository(new MemoryStore()));
+
+const send = async function (middleware, req) {
+  const headers = {};
+  const res = { set: (name, value) => (headers[name] = value) };
+  const next = jest.fn();
+  await middleware(
+    Object.assign({ ip: "10.0.0.1", __: (phrase) => phrase }, req),
+    res,
+    next
+  );
+  return { error: next.mock.calls[0][0], headers };
+};
+
+const rejected = async function () {
+  const metric = await promClient.register
+    .getSingleMetric("rate_limit_rejected_requests_total")
+    .get();
+  return metric.values;
+};
+
+describe("[Unit] That Rate Limit Config", () => {
+  it("reads the limits from the environment", () => {
+    expect(
+      rateLimit.getLimits("chat", {
+        RATE_LIMIT_CHAT_USER: "50",
+        RATE_LIMIT_CHAT_IP: "0",
+      })
+    ).toEqual({ window: 60, ip: 0, user: 50, session: 20 });
+    expect(() =>
+      rateLimit.getLimits("login", { RATE_LIMIT_LOGIN_WINDOW: "0" })
+    ).toThrow("RATE_LIMIT_LOGIN_WINDOW");
+    expect(() =>
+      rateLimit.getLimits("login", { RATE_LIMIT_LOGIN_USER: "ten" })
+    ).toThrow("RATE_LIMIT_LOGIN_USER");
+  });
+
+  it("answers 429 with Retry-After once a key goes over its limit", async () => {
+    const middleware = rateLimit.limit("login", {
+      service: createService(),
+      env: { RATE_LIMIT_LOGIN_USER: "2" },
+    });
+    const req = { body: { username: "alice" }, sessionID: "s1" };
+
+    expect((await send(middleware, req)).error).toBeUndefined();
+    expect((await send(middleware, req)).error).toBeUndefined();
+    const { error, headers } = await send(middleware, req);
+    expect(error.status).toBe(429);
+    expect(error.message).toBe("Error.TooManyRequests");
+    expect(Number(headers["Retry-After"])).toBeGreaterThan(0);
+
+    const other = { body: { username: "bob" }, sessionID: "s2" };
+    expect((await send(middleware, other)).error).toBeUndefined();
+    // Trying the same name from another address doesn't lock alice out
+    const elsewhere = { ip: "10.0.0.2", body: { username: "alice" } };
+    expect((await send(middleware, elsewhere)).error).toBeUndefined();
+    expect(await rejected()).toEqual([
+      { value: 1, labels: { limiter: "login", key: "user" } },
+    ]);
+  });
+
+  it("lets requests through when disabled or when counting fails", async () => {
+    const failing = { hit: () => Promise.reject(new Error("down")) };
+    jest.spyOn(console, "error").mockImplementation(() => {});
+
+    const disabled = rateLimit.limit("chat", {
+      enabled: false,
+      service: failing,
+    });
+    expect((await send(disabled, {})).error).toBeUndefined();
+    const down = rateLimit.limit("chat", { service: failing });
+    expect((await send(down, {})).error).toBeUndefined();
+    expect(console.error).toHaveBeenCalled();
+    jest.restoreAllMocks();
+  });
+});
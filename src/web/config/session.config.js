@@ -0,0 +1,98 @@
+const crypto = require("crypto");
+const session = require("express-session");
+
+const hour = 60 * 60 * 1000;
+const sameSiteValues = ["strict", "lax", "none"];
+
+// Lets express-session keep its sessions in one of our sessions repositories
+class RepositorySessionStore extends session.Store {
+  constructor(repository) {
+    super();
+    this._repo = repository;
+  }
+
+  _expiresAt(sess) {
+    const expires = sess && sess.cookie && sess.cookie.expires;
+    return expires ? new Date(expires) : new Date(Date.now() + 24 * hour);
+  }
+
+  get(sid, callback) {
+    this._repo.get(sid).then((sess) => callback(null, sess), callback);
+  }
+
+  set(sid, sess, callback = () => {}) {
+    this._repo
+      .set(sid, sess, this._expiresAt(sess))
+      .then(() => callback(), callback);
+  }
+
+  touch(sid, sess, callback = () => {}) {
+    this._repo
+      .touch(sid, this._expiresAt(sess))
+      .then(() => callback(), callback);
+  }
+
+  destroy(sid, callback = () => {}) {
+    this._repo.destroy(sid).then(() => callback(), callback);
+  }
+}
+
+// SESSION_SECRET holds a comma separated list of secrets. The first one signs
+// new cookies and all of them are accepted, so a secret can be rotated by
+// putting the new one first and dropping the old one once its sessions expired.
+// The placeholder of the deployment manifests is refused, anyone knows it.
+const getSecrets = function (env = process.env) {
+  const secrets = (env.SESSION_SECRET || "")
+    .split(",")
+    .map((secret) => secret.trim())
+    .filter((secret) => secret);
+  if (secrets.includes("changeme")) {
+    throw new Error("SESSION_SECRET is still the changeme placeholder");
+  }
+  if (secrets.length) return secrets;
+  if (env.NODE_ENV == "production") {
+    throw new Error("SESSION_SECRET must be set in production");
+  }
+  console.warn("SESSION_SECRET not set. Sessions are lost on restart.");
+  return [crypto.randomBytes(32).toString("hex")];
+};
+
+// Cookies are only sent over HTTPS when the request came that way, unless
+// SESSION_COOKIE_SECURE says otherwise
+const getCookie = function (env = process.env) {
+  const secure = env.SESSION_COOKIE_SECURE || "auto";
+  if (!["true", "false", "auto"].includes(secure)) {
+    throw new Error(`Unknown SESSION_COOKIE_SECURE "${secure}"`);
+  }
+  const sameSite = env.SESSION_COOKIE_SAMESITE || "lax";
+  if (!sameSiteValues.includes(sameSite)) {
+    throw new Error(`Unknown SESSION_COOKIE_SAMESITE "${sameSite}"`);
+  }
+  if (sameSite == "none" && secure == "false") {
+    throw new Error("SESSION_COOKIE_SAMESITE none needs secure cookies");
+  }
+  return {
+    httpOnly: true,
+    secure: secure == "auto" ? "auto" : secure == "true",
+    sameSite,
+    maxAge: Number(env.SESSION_MAX_AGE_HOURS || 24) * hour,
+  };
+};
+
+const getOptions = function (repository, env = process.env) {
+  return {
+    name: "contoso-air.sid",
+    secret: getSecrets(env),
+    store: new RepositorySessionStore(repository),
+    resave: false,
+    saveUninitialized: false,
+    cookie: getCookie(env),
+  };
+};
+
+module.exports = {
+  RepositorySessionStore,
+  getSecrets,
+  getCookie,
+  getOptions,
+};
@@ -0,0 +1,79 @@
+const sessionConfig = require("./session.config");
+const SessionsMemoryRepository = require("../repositories/sessions.memory.repository");
+const MemoryStore = require("../repositories/memory.store");
+
+describe("[Unit] That Session Config", () => {
+  beforeEach(() => {
+    jest.spyOn(console, "warn").mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it("accepts every configured secret and signs with the first", () => {
+    expect(sessionConfig.getSecrets({ SESSION_SECRET: "new, old" })).toEqual([
+      "new",
+      "old",
+    ]);
+  });
+
+  it("requires a secret in production only", () => {
+    expect(() => sessionConfig.getSecrets({ NODE_ENV: "production" })).toThrow(
+      "SESSION_SECRET"
+    );
+    expect(sessionConfig.getSecrets({})).toEqual([expect.any(String)]);
+  });
+
+  it("refuses the placeholder secret", () => {
+    expect(() =>
+      sessionConfig.getSecrets({ SESSION_SECRET: "new,changeme" })
+    ).toThrow("changeme");
+  });
+
+  it("configures the cookie from the environment", () => {
+    expect(sessionConfig.getCookie({})).toEqual({
+      httpOnly: true,
+      secure: "auto",
+      sameSite: "lax",
+      maxAge: 24 * 60 * 60 * 1000,
+    });
+    expect(
+      sessionConfig.getCookie({
+        SESSION_COOKIE_SECURE: "true",
+        SESSION_COOKIE_SAMESITE: "strict",
+        SESSION_MAX_AGE_HOURS: "2",
+      })
+    ).toMatchObject({ secure: true, sameSite: "strict", maxAge: 7200000 });
+    expect(() =>
+      sessionConfig.getCookie({
+        SESSION_COOKIE_SECURE: "false",
+        SESSION_COOKIE_SAMESITE: "none",
+      })
+    ).toThrow();
+  });
+
+  it("keeps sessions in the repository until they expire", async () => {
+    const repo = new SessionsMemoryRepository(new MemoryStore());
+    const store = new sessionConfig.RepositorySessionStore(repo);
+    const call = (method, ...args) =>
+      new Promise((resolve, reject) =>
+        store[method](...args, (error, result) =>
+          error ? reject(error) : resolve(result)
+        )
+      );
+    const expires = new Date(Date.now() + 60000);
+    const sess = { cookie: { expires }, passport: { user: "alice" } };
+
+    await call("set", "s1", sess);
+    expect(await call("get", "s1")).toEqual({
+      cookie: { expires: expires.toJSON() },
+      passport: { user: "alice" },
+    });
+    await call("touch", "s1", { cookie: { expires: new Date(0) } });
+    expect(await call("get", "s1")).toBeNull();
+    await call("set", "s1", sess);
+    await call("destroy", "s1");
+    expect(await call("get", "s1")).toBeNull();
+  });
+});
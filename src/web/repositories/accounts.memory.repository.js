@@ -0,0 +1,68 @@
+// Same contract as AccountsRepository over a MemoryStore
+const copy = (value) => JSON.parse(JSON.stringify(value));
+
+class AccountsMemoryRepository {
+  constructor(store) {
+    this._store = store;
+  }
+
+  _find(predicate) {
+    const result = this._store.data.accounts.find(predicate);
+    return result ? copy(result) : null;
+  }
+
+  async findByName(name) {
+    return this._find((a) => a.name == name);
+  }
+
+  async findByEmail(email) {
+    return this._find((a) => a.email == email);
+  }
+
+  async findByResetToken(resetToken) {
+    return this._find((a) => a.resetToken && a.resetToken == resetToken);
+  }
+
+  async findByIdentity(issuer, subject) {
+    return this._find((a) =>
+      (a.identities || []).some(
+        (i) => i.issuer == issuer && i.subject == subject
+      )
+    );
+  }
+
+  // Returns false when the username or the email are already taken
+  async create(account) {
+    const accounts = this._store.data.accounts;
+    if (
+      accounts.some((a) => a.name == account.name || a.email == account.email)
+    ) {
+      return false;
+    }
+    accounts.push(copy(account));
+    await this._store.save();
+    return true;
+  }
+
+  async update(account) {
+    const accounts = this._store.data.accounts;
+    const index = accounts.findIndex((a) => a.name == account.name);
+    if (index != -1) {
+      accounts[index] = Object.assign(accounts[index], copy(account));
+      await this._store.save();
+    }
+  }
+
+  async updateByResetToken(resetToken, changes) {
+    const account = this._store.data.accounts.find(
+      (a) => a.resetToken && a.resetToken == resetToken
+    );
+    if (!account) return null;
+    const previous = copy(account);
+    Object.assign(account, copy(changes));
+    await this._store.save();
+    return previous;
+  }
+}
+
+module.exports = AccountsMemoryRepository;
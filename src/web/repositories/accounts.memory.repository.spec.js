@@ -0,0 +1,35 @@
+const AccountsMemoryRepository = require("./accounts.memory.repository");
+const MemoryStore = require("./memory.store");
+
+describe("[Unit] That Accounts Memory Repository", () => {
+  it("never creates two accounts with the same name or email", async () => {
+    const repo = new AccountsMemoryRepository(new MemoryStore());
+
+    expect(await repo.create({ name: "alice", email: "a@example.com" })).toBe(
+      true
+    );
+    expect(await repo.create({ name: "alice", email: "b@example.com" })).toBe(
+      false
+    );
+    expect(await repo.create({ name: "bob", email: "a@example.com" })).toBe(
+      false
+    );
+  });
+
+  it("updates only the fields given", async () => {
+    const repo = new AccountsMemoryRepository(new MemoryStore());
+    await repo.create({
+      name: "alice",
+      email: "a@example.com",
+      resetToken: null,
+    });
+
+    await repo.update({ name: "alice", resetToken: "abc" });
+    expect(await repo.findByResetToken("abc")).toEqual({
+      name: "alice",
+      email: "a@example.com",
+      resetToken: "abc",
+    });
+    expect(await repo.findByResetToken(null)).toBeNull();
+  });
+});
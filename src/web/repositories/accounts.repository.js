@@ -0,0 +1,80 @@
+const mongoose = require("mongoose");
+const AccountModelSchema = require("./accounts.repository.model");
+
+const duplicateKeyError = 11000;
+
+// User accounts. It relies on the connection opened by BookFlightsRepository,
+// so it waits until that one is ready.
+class AccountsRepository {
+  constructor(ready) {
+    this._ready = ready;
+  }
+
+  async _model() {
+    await this._ready;
+    return mongoose.model("AccountModel", AccountModelSchema);
+  }
+
+  async findByName(name) {
+    const AccountModel = await this._model();
+    return await AccountModel.findOne({ name }, { _id: 0, __v: 0 })
+      .lean()
+      .exec();
+  }
+
+  async findByEmail(email) {
+    const AccountModel = await this._model();
+    return await AccountModel.findOne({ email }, { _id: 0, __v: 0 })
+      .lean()
+      .exec();
+  }
+
+  async findByResetToken(resetToken) {
+    const AccountModel = await this._model();
+    return await AccountModel.findOne({ resetToken }, { _id: 0, __v: 0 })
+      .lean()
+      .exec();
+  }
+
+  async findByIdentity(issuer, subject) {
+    const AccountModel = await this._model();
+    return await AccountModel.findOne(
+      { identities: { $elemMatch: { issuer, subject } } },
+      { _id: 0, __v: 0 }
+    )
+      .lean()
+      .exec();
+  }
+
+  // Returns false when the username or the email are already taken
+  async create(account) {
+    const AccountModel = await this._model();
+    try {
+      await AccountModel.create(account);
+      return true;
+    } catch (error) {
+      if (error.code != duplicateKeyError) throw error;
+      return false;
+    }
+  }
+
+  async update(account) {
+    const AccountModel = await this._model();
+    await AccountModel.updateOne({ name: account.name }, { $set: account });
+  }
+
+  // Changes the account holding the reset token in one step, so the token
+  // can't be used twice. Returns the account as it was, or null.
+  async updateByResetToken(resetToken, changes) {
+    const AccountModel = await this._model();
+    return await AccountModel.findOneAndUpdate(
+      { resetToken },
+      { $set: changes },
+      { projection: { _id: 0, __v: 0 } }
+    )
+      .lean()
+      .exec();
+  }
+}
+
+module.exports = AccountsRepository;
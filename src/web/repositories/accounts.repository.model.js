@@ -0,0 +1,29 @@
+const mongoose = require("mongoose");
+const Schema = mongoose.Schema;
+
+// Identities at company identity providers that log in to the account
+const IdentitySchema = new Schema(
+  { issuer: String, subject: String },
+  { _id: false }
+);
+
+const AccountModelSchema = new Schema({
+  name: String,
+  email: String,
+  passwordHash: String,
+  failedLogins: Number,
+  lockedUntil: String,
+  // Only a hash of the reset token is kept, the token itself is mailed
+  resetToken: String,
+  resetExpiresAt: String,
+  identities: [IdentitySchema],
+  role: String,
+  createdAt: String,
+});
+
+// Usernames and emails belong to a single account
+AccountModelSchema.index({ name: 1 }, { unique: true });
+AccountModelSchema.index({ email: 1 }, { unique: true });
+AccountModelSchema.index({ "identities.issuer": 1, "identities.subject": 1 });
+
+module.exports = AccountModelSchema;
@@ -0,0 +1,22 @@
+// Same contract as AuditRepository over a MemoryStore
+class AuditMemoryRepository {
+  constructor(store) {
+    this._store = store;
+  }
+
+  async add(entry) {
+    this._store.data.audit.push(Object.assign({}, entry));
+    await this._store.save();
+  }
+
+  // Newest entries first, only the ones about a user when given
+  async list(user, limit) {
+    return this._store.data.audit
+      .filter((e) => !user || e.user == user)
+      .sort((a, b) => b.date.localeCompare(a.date))
+      .slice(0, limit)
+      .map((e) => Object.assign({}, e));
+  }
+}
+
+module.exports = AuditMemoryRepository;
@@ -0,0 +1,32 @@
+const mongoose = require("mongoose");
+const AuditModelSchema = require("./audit.repository.model");
+
+// What staff did on behalf of customers. It relies on the connection opened
+// by BookFlightsRepository, so it waits until that one is ready.
+class AuditRepository {
+  constructor(ready) {
+    this._ready = ready;
+  }
+
+  async _model() {
+    await this._ready;
+    return mongoose.model("AuditModel", AuditModelSchema);
+  }
+
+  async add(entry) {
+    const AuditModel = await this._model();
+    await AuditModel.create(entry);
+  }
+
+  // Newest entries first, only the ones about a user when given
+  async list(user, limit) {
+    const AuditModel = await this._model();
+    return await AuditModel.find(user ? { user } : {}, { _id: 0, __v: 0 })
+      .sort({ date: -1 })
+      .limit(limit)
+      .lean()
+      .exec();
+  }
+}
+
+module.exports = AuditRepository;
@@ -0,0 +1,17 @@
+const mongoose = require("mongoose");
+const Schema = mongoose.Schema;
+
+const AuditModelSchema = new Schema({
+  date: String,
+  actor: String,
+  role: String,
+  action: String,
+  user: String,
+  bookingId: String,
+  details: String,
+});
+
+AuditModelSchema.index({ date: -1 });
+AuditModelSchema.index({ user: 1, date: -1 });
+
+module.exports = AuditModelSchema;
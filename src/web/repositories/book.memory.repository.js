@@ -0,0 +1,99 @@
+// Same contract as BookFlightsRepository over a MemoryStore. Documents are
+// copied in and out, like they would be by a database.
+const VersionConflictError = require("./version.conflict.error");
+
+const copy = (value) => JSON.parse(JSON.stringify(value));
+
+class BookMemoryRepository {
+  constructor(store) {
+    this._store = store;
+  }
+
+  _find(username) {
+    return this._store.data.users.find((u) => u.user == username);
+  }
+
+  async getUserInfo(username) {
+    const result = this._find(username);
+    return result
+      ? Object.assign({ version: 0 }, copy(result))
+      : { user: username, booked: null, purchased: [], version: 0 };
+  }
+
+  async createOrUpdateUserInfo(userInfo) {
+    const users = this._store.data.users;
+    const index = users.findIndex((u) => u.user == userInfo.user);
+    const version = userInfo.version || 0;
+    const saved = index == -1 ? 0 : users[index].version || 0;
+    if (saved != version) {
+      throw new VersionConflictError();
+    }
+
+    const document = Object.assign(copy(userInfo), { version: version + 1 });
+    if (index == -1) {
+      users.push(document);
+    } else {
+      users[index] = document;
+    }
+    userInfo.version = version + 1;
+    await this._store.save();
+  }
+
+  async findByLocator(locator) {
+    const result = this._store.data.users.find((u) =>
+      (u.purchased || []).some((t) => t.id == locator)
+    );
+    return result ? copy(result) : null;
+  }
+
+  async reserveLocator(locator) {
+    const locators = this._store.data.locators;
+    if (locators.includes(locator)) return false;
+    locators.push(locator);
+    await this._store.save();
+    return true;
+  }
+
+  // Users whose name contains the text, or with a trip with that locator or
+  // a passenger with that last name
+  async findUsers(text, limit) {
+    const search = text.toLowerCase();
+    const matches = (travel) =>
+      !!travel &&
+      (travel.id.toLowerCase() == search ||
+        (travel.passengerDetails || []).some(
+          (p) => p.lastName.toLowerCase() == search
+        ));
+    return this._store.data.users
+      .filter(
+        (u) =>
+          u.user.toLowerCase().includes(search) ||
+          matches(u.booked) ||
+          (u.purchased || []).some(matches)
+      )
+      .slice(0, limit)
+      .map(copy);
+  }
+
+  async findExpiredHolds(now) {
+    return this._store.data.users
+      .filter(
+        (u) =>
+          u.booked && u.booked.expiresAt && u.booked.expiresAt <= now.toJSON()
+      )
+      .map(copy);
+  }
+
+  async releaseHold(username, id) {
+    const userInfo = this._find(username);
+    if (!userInfo || !userInfo.booked || userInfo.booked.id != id) {
+      return false;
+    }
+    userInfo.booked = null;
+    userInfo.version = (userInfo.version || 0) + 1;
+    await this._store.save();
+    return true;
+  }
+}
+
+module.exports = BookMemoryRepository;
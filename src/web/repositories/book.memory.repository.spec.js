@@ -0,0 +1,101 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const BookMemoryRepository = require("./book.memory.repository");
+const MemoryStore = require("./memory.store");
+const FileStore = require("./file.store");
+const VersionConflictError = require("./version.conflict.error");
+
+describe("[Unit] That Book Memory Repository", () => {
+  it("returns an empty user info for unknown users", async () => {
+    const repo = new BookMemoryRepository(new MemoryStore());
+
+    expect(await repo.getUserInfo("me")).toEqual({
+      user: "me",
+      booked: null,
+      purchased: [],
+      version: 0,
+    });
+  });
+
+  it("stores copies of the user info", async () => {
+    const repo = new BookMemoryRepository(new MemoryStore());
+    const userInfo = { user: "me", booked: { id: "ABC234" }, purchased: [] };
+
+    await repo.createOrUpdateUserInfo(userInfo);
+    userInfo.booked.id = "changed";
+    expect((await repo.getUserInfo("me")).booked.id).toBe("ABC234");
+
+    const saved = await repo.getUserInfo("me");
+    saved.booked = null;
+    await repo.createOrUpdateUserInfo(saved);
+    expect((await repo.getUserInfo("me")).booked).toBeNull();
+  });
+
+  it("refuses to save over a newer version of the user info", async () => {
+    const repo = new BookMemoryRepository(new MemoryStore());
+    await repo.createOrUpdateUserInfo({
+      user: "me",
+      booked: null,
+      purchased: [],
+    });
+
+    const first = await repo.getUserInfo("me");
+    const second = await repo.getUserInfo("me");
+    first.purchased.push({ id: "ABC234" });
+    await repo.createOrUpdateUserInfo(first);
+    second.purchased.push({ id: "DEF567" });
+
+    await expect(repo.createOrUpdateUserInfo(second)).rejects.toThrow(
+      VersionConflictError
+    );
+    await expect(
+      repo.createOrUpdateUserInfo({ user: "me", booked: null, purchased: [] })
+    ).rejects.toThrow(VersionConflictError);
+    expect(await repo.getUserInfo("me")).toMatchObject({
+      purchased: [{ id: "ABC234" }],
+      version: 2,
+    });
+  });
+
+  it("never hands out the same locator twice", async () => {
+    const repo = new BookMemoryRepository(new MemoryStore());
+
+    expect(await repo.reserveLocator("ABC234")).toBe(true);
+    expect(await repo.reserveLocator("ABC234")).toBe(false);
+  });
+
+  it("releases only the holds that are still expired", async () => {
+    const repo = new BookMemoryRepository(new MemoryStore());
+    const booked = { id: "ABC234", expiresAt: "2025-11-03T08:00:00.000Z" };
+    await repo.createOrUpdateUserInfo({ user: "me", booked, purchased: [] });
+
+    const expired = await repo.findExpiredHolds(new Date("2025-11-03T09:00Z"));
+    expect(expired.map((u) => u.user)).toEqual(["me"]);
+    expect(await repo.releaseHold("me", "OTHER2")).toBe(false);
+    expect(await repo.releaseHold("me", "ABC234")).toBe(true);
+    expect(await repo.findExpiredHolds(new Date("2025-11-03T09:00Z"))).toEqual(
+      []
+    );
+  });
+
+  it("keeps bookings in a file across restarts", async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "bookings-"));
+    const file = path.join(dir, "data", "bookings.json");
+    try {
+      const repo = new BookMemoryRepository(new FileStore(file));
+      await repo.createOrUpdateUserInfo({
+        user: "me",
+        booked: null,
+        purchased: [{ id: "ABC234" }],
+      });
+
+      const reopened = new BookMemoryRepository(new FileStore(file));
+      expect(await reopened.findByLocator("ABC234")).toMatchObject({
+        user: "me",
+      });
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
@@ -2,67 +2,205 @@ const mongoose = require("mongoose");
 const { DefaultAzureCredential } = require("@azure/identity");
 const axios = require("axios");
 const UserInfoModelSchema = require("./book.repository.model");
-const { init } = require("../app");
+const LocatorModelSchema = require("./locator.repository.model");
+const VersionConflictError = require("./version.conflict.error");
+
+const duplicateKeyError = 11000;
+
+const defaults = {
+  // Connection attempts before giving up, waiting twice as long each time
+  retries: 5,
+  retryDelay: 1000,
+  maxRetryDelay: 30 * 1000,
+  // How long one attempt looks for the server before failing
+  connectTimeout: 5000,
+};
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Cosmos DB hands out its connection string to the managed identity
+const getAzureConnectionString = async function (options) {
+  const { listConnectionStringUrl, scope, clientId } = options;
+
+  // Get the access token for the managed identity
+  const credential = new DefaultAzureCredential({
+    managedIdentityClientId: clientId,
+  });
+  const accessToken = await credential.getToken(scope);
+
+  // Get the connection string using the access token
+  const config = {
+    method: "post",
+    url: listConnectionStringUrl,
+    headers: {
+      Authorization: `Bearer ${accessToken.token}`,
+    },
+  };
+  const response = await axios(config);
+  const keysDict = response.data;
+  return keysDict["connectionStrings"][0]["connectionString"];
+};
 
 class BookFlightsRepository {
+  // Either a connectionString, like a MONGODB_URI, or the Azure settings to
+  // ask Cosmos DB for one
   constructor(options) {
-    const { listConnectionStringUrl, scope, clientId } = options;
-    let accessToken;
-    let connectionString;
-
-    const initialize = async () => {
-      // Get the access token for the managed identity
-      const credential = new DefaultAzureCredential({
-        managedIdentityClientId: clientId,
-      });
-      accessToken = await credential.getToken(scope);
-
-      // Get the connection string using the access token
-      const config = {
-        method: "post",
-        url: listConnectionStringUrl,
-        headers: {
-          Authorization: `Bearer ${accessToken.token}`,
-        },
-      };
-      const response = await axios(config);
-      const keysDict = response.data;
-      connectionString = keysDict["connectionStrings"][0]["connectionString"];
-
-      // Connect to the MongoDB server using the connection string
-      mongoose.connect(connectionString, {
-        useNewUrlParser: true,
-        useUnifiedTopology: true,
-      });
-      mongoose.Promise = global.Promise;
-
-      console.log("Connected to the database");
-    };
-
-    initialize().catch((error) => {
+    this._options = Object.assign({}, defaults, options);
+    this._ready = this._connect();
+    this._ready.catch((error) => {
       console.error("Failed to connect to the database: ", error);
     });
   }
 
+  async _connect() {
+    const { retries, retryDelay, maxRetryDelay, connectTimeout } =
+      this._options;
+    for (let attempt = 1; ; attempt++) {
+      try {
+        const connectionString =
+          this._options.connectionString ||
+          (await getAzureConnectionString(this._options));
+        await mongoose.connect(connectionString, {
+          serverSelectionTimeoutMS: connectTimeout,
+        });
+        console.log("Connected to the database");
+        return;
+      } catch (error) {
+        if (attempt >= retries) throw error;
+        const delay = Math.min(retryDelay * 2 ** (attempt - 1), maxRetryDelay);
+        console.warn(
+          `Database connection attempt ${attempt} failed, retrying in ${delay}ms: ${error.message}`
+        );
+        await wait(delay);
+      }
+    }
+  }
+
+  // Resolves once connected, or rejects if the connection never succeeded
+  ready() {
+    return this._ready;
+  }
+
+  async _model(name, schema) {
+    await this._ready;
+    return mongoose.model(name, schema);
+  }
+
   async getUserInfo(username) {
-    const UserInfoModel = await mongoose.model(
+    const UserInfoModel = await this._model(
       "UserInfoModel",
       UserInfoModelSchema
     );
     const result = await UserInfoModel.findOne({ user: username })
       .lean()
       .exec();
-    return result || { user: username, booked: null, purchased: [] };
+    return result
+      ? Object.assign({ version: 0 }, result)
+      : { user: username, booked: null, purchased: [], version: 0 };
   }
 
   async createOrUpdateUserInfo(userInfo) {
-    const UserInfoModel = await mongoose.model(
+    const UserInfoModel = await this._model(
       "UserInfoModel",
       UserInfoModelSchema
     );
-    await UserInfoModel.findOneAndUpdate({ user: userInfo.user }, userInfo, {
-      upsert: true,
-    });
+    // Only saves over the version that was read. Saving a new user that
+    // someone else inserted first breaks the unique index on user instead.
+    const version = userInfo.version || 0;
+    try {
+      const result = await UserInfoModel.updateOne(
+        {
+          user: userInfo.user,
+          version: version ? version : { $in: [0, null] },
+        },
+        {
+          $set: {
+            booked: userInfo.booked,
+            purchased: userInfo.purchased,
+            version: version + 1,
+          },
+        },
+        { upsert: true }
+      );
+      if (!result.matchedCount && !result.upsertedCount) {
+        throw new VersionConflictError();
+      }
+    } catch (error) {
+      if (error.code == duplicateKeyError) throw new VersionConflictError();
+      throw error;
+    }
+    userInfo.version = version + 1;
+  }
+
+  async findByLocator(locator) {
+    const UserInfoModel = await this._model(
+      "UserInfoModel",
+      UserInfoModelSchema
+    );
+    return await UserInfoModel.findOne({ "purchased.id": locator })
+      .lean()
+      .exec();
+  }
+
+  // Users whose name contains the text, or with a trip with that locator or
+  // a passenger with that last name
+  async findUsers(text, limit) {
+    const UserInfoModel = await this._model(
+      "UserInfoModel",
+      UserInfoModelSchema
+    );
+    const escaped = text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+    const exactly = new RegExp(`^${escaped}$`, "i");
+    return await UserInfoModel.find({
+      $or: [
+        { user: new RegExp(escaped, "i") },
+        { "booked.id": exactly },
+        { "purchased.id": exactly },
+        { "booked.passengerDetails.lastName": exactly },
+        { "purchased.passengerDetails.lastName": exactly },
+      ],
+    })
+      .limit(limit)
+      .lean()
+      .exec();
+  }
+
+  // False when another booking already uses the locator
+  async reserveLocator(locator) {
+    const LocatorModel = await this._model("LocatorModel", LocatorModelSchema);
+    try {
+      await LocatorModel.create({ locator });
+      return true;
+    } catch (error) {
+      if (error.code != duplicateKeyError) throw error;
+      return false;
+    }
+  }
+
+  // Expiry times are stored as ISO strings, so they sort as they compare
+  async findExpiredHolds(now) {
+    const UserInfoModel = await this._model(
+      "UserInfoModel",
+      UserInfoModelSchema
+    );
+    return await UserInfoModel.find({
+      "booked.expiresAt": { $lte: now.toJSON() },
+    })
+      .lean()
+      .exec();
+  }
+
+  // Only drops the hold if it is still the one that expired
+  async releaseHold(username, id) {
+    const UserInfoModel = await this._model(
+      "UserInfoModel",
+      UserInfoModelSchema
+    );
+    const result = await UserInfoModel.updateOne(
+      { user: username, "booked.id": id },
+      { $set: { booked: null }, $inc: { version: 1 } }
+    );
+    return result.modifiedCount > 0;
   }
 }
 
@@ -3,30 +3,74 @@ const Schema = mongoose.Schema;
 
 const SegmentObject = {
   flight: String,
+  date: String,
+  aircraft: String,
   fromCode: String,
+  fromCity: String,
   toCode: String,
+  toCity: String,
   seats: [String],
   departTime: String,
   arrivalTime: String,
 };
 
 const FlightObject = {
+  departDate: String,
   duration: String,
+  distance: Number,
+  stops: Number,
   price: Number,
+  fromCode: String,
+  toCode: String,
   segments: [SegmentObject],
 };
 
+const FlightSchema = new Schema(FlightObject, { _id: false });
+
+const PassengerObject = {
+  firstName: String,
+  lastName: String,
+  dateOfBirth: String,
+  category: String,
+  documentType: String,
+  documentNumber: String,
+  documentExpiry: String,
+  nationality: String,
+  email: String,
+  phone: String,
+};
+
+const PassengerSchema = new Schema(PassengerObject, { _id: false });
+
+const HistoryObject = {
+  status: String,
+  date: String,
+  amount: Number,
+  note: String,
+};
+
+const HistorySchema = new Schema(HistoryObject, { _id: false });
+
 const TravelObject = {
   id: String,
+  tripType: String,
   passengers: Number,
-  parting: FlightObject,
-  returning: FlightObject,
+  passengerDetails: [PassengerSchema],
+  legs: [FlightSchema],
+  status: String,
+  refund: Number,
+  history: [HistorySchema],
+  expiresAt: String,
 };
 
 const UserInfoModelSchema = new Schema({
   user: String,
   booked: TravelObject,
   purchased: [TravelObject],
+  // Bumped on every save so concurrent saves can be told apart
+  version: Number,
 });
 
+UserInfoModelSchema.index({ user: 1 }, { unique: true });
+
 module.exports = UserInfoModelSchema;
@@ -0,0 +1,95 @@
+const mongoose = require("mongoose");
+const BookFlightsRepository = require("./book.repository");
+const VersionConflictError = require("./version.conflict.error");
+
+const options = { connectionString: "mongodb://localhost/test", retryDelay: 1 };
+
+describe("[Unit] That Book Flights Repository", () => {
+  beforeEach(() => {
+    jest.spyOn(mongoose, "connect").mockImplementation();
+    jest.spyOn(mongoose, "model").mockImplementation();
+    jest.spyOn(console, "log").mockImplementation(() => {});
+    jest.spyOn(console, "warn").mockImplementation(() => {});
+    jest.spyOn(console, "error").mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it("retries the connection until the database is up", async () => {
+    mongoose.connect
+      .mockRejectedValueOnce(new Error("down"))
+      .mockRejectedValueOnce(new Error("down"))
+      .mockResolvedValueOnce();
+
+    const repo = new BookFlightsRepository(options);
+    await repo.ready();
+    expect(mongoose.connect).toBeCalledTimes(3);
+    expect(mongoose.connect).toBeCalledWith(
+      "mongodb://localhost/test",
+      expect.objectContaining({ serverSelectionTimeoutMS: 5000 })
+    );
+  });
+
+  it("waits for the connection before reading", async () => {
+    let connected;
+    mongoose.connect.mockReturnValue(
+      new Promise((resolve) => (connected = resolve))
+    );
+    const exec = jest.fn(async () => null);
+    mongoose.model.mockReturnValue({
+      findOne: () => ({ lean: () => ({ exec }) }),
+    });
+
+    const repo = new BookFlightsRepository(options);
+    const reading = repo.getUserInfo("me");
+    await new Promise((resolve) => setImmediate(resolve));
+    expect(exec).not.toBeCalled();
+
+    connected();
+    expect(await reading).toEqual({
+      user: "me",
+      booked: null,
+      purchased: [],
+      version: 0,
+    });
+  });
+
+  it("only saves over the version that was read", async () => {
+    mongoose.connect.mockResolvedValue();
+    const updateOne = jest
+      .fn()
+      .mockResolvedValueOnce({ matchedCount: 1, upsertedCount: 0 })
+      .mockResolvedValueOnce({ matchedCount: 0, upsertedCount: 0 })
+      .mockRejectedValueOnce(Object.assign(new Error("dup"), { code: 11000 }));
+    mongoose.model.mockReturnValue({ updateOne });
+
+    const repo = new BookFlightsRepository(options);
+    const userInfo = { user: "me", booked: null, purchased: [], version: 3 };
+    await repo.createOrUpdateUserInfo(userInfo);
+    expect(updateOne).toBeCalledWith(
+      { user: "me", version: 3 },
+      { $set: { booked: null, purchased: [], version: 4 } },
+      { upsert: true }
+    );
+    expect(userInfo.version).toBe(4);
+
+    await expect(repo.createOrUpdateUserInfo(userInfo)).rejects.toThrow(
+      VersionConflictError
+    );
+    await expect(
+      repo.createOrUpdateUserInfo({ user: "me", booked: null, purchased: [] })
+    ).rejects.toThrow(VersionConflictError);
+  });
+
+  it("fails data access once it runs out of retries", async () => {
+    mongoose.connect.mockRejectedValue(new Error("down"));
+
+    const repo = new BookFlightsRepository(
+      Object.assign({ retries: 2 }, options)
+    );
+    await expect(repo.getUserInfo("me")).rejects.toThrow("down");
+    expect(mongoose.connect).toBeCalledTimes(2);
+  });
+});
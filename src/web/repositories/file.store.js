@@ -0,0 +1,25 @@
+const fs = require("fs");
+const path = require("path");
+const MemoryStore = require("./memory.store");
+
+// A memory store written to a JSON file after every change, so local data
+// survives restarts
+class FileStore extends MemoryStore {
+  constructor(file) {
+    super(fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, "utf8")) : {});
+    this._file = file;
+    this._writing = Promise.resolve();
+  }
+
+  // Writes are queued so an older snapshot never overwrites a newer one
+  save() {
+    const json = JSON.stringify(this.data, null, 2);
+    this._writing = this._writing.then(async () => {
+      await fs.promises.mkdir(path.dirname(this._file), { recursive: true });
+      await fs.promises.writeFile(this._file, json);
+    });
+    return this._writing;
+  }
+}
+
+module.exports = FileStore;
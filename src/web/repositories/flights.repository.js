@@ -1,39 +1,133 @@
 const moment = require("moment");
 
-const segmentsParser = function (fromCode, toCode, diff) {
-  return (s) => ({
-    flight: s.flight,
-    fromCode: s.fromCode == "FROMCODE" ? fromCode : s.fromCode,
-    toCode: s.toCode == "TOCODE" ? toCode : s.toCode,
-    departTime: moment(s.departTime).add(diff, "days"),
-    arrivalTime: moment(s.departTime).add(diff, "days"),
-  });
+const defaults = {
+  // Minutes a passenger needs to change planes
+  minConnection: 60,
+  // Longest layover offered, in minutes
+  maxConnection: 12 * 60,
+  maxStops: 2,
+  maxResults: 12,
+  // Itineraries flying further than this times the most direct one are dropped
+  maxDetour: 1.5,
 };
 
-const flightParser = function (fromCode, toCode, day) {
-  return (f) => {
-    const diff = moment(f.segments[0].departTime)
-      .startOf("day")
-      .diff(moment(day), "days");
-    const segments = f.segments.map(segmentsParser(fromCode, toCode, diff));
-    const price = parseInt(f.price);
-    return Object.assign({}, f, { fromCode, toCode, segments, price });
+const formatDuration = function (minutes) {
+  const pad = (n) => (n < 10 ? "0" : "") + n;
+  return `${pad(Math.floor(minutes / 60))}h ${pad(minutes % 60)}m`;
+};
+
+// Concrete departure of a scheduled route on a given UTC day, if it flies then
+const departureOn = function (route, day) {
+  if (!route.days.includes(day.isoWeekday())) return null;
+  const [hours, minutes] = route.departTime.split(":").map(Number);
+  const departTime = moment
+    .utc(day)
+    .add(hours, "hours")
+    .add(minutes, "minutes");
+  return {
+    flight: route.flight,
+    fromCode: route.fromCode,
+    toCode: route.toCode,
+    departTime,
+    arrivalTime: moment.utc(departTime).add(route.duration, "minutes"),
+    distance: route.distance,
+    price: route.price,
+    aircraft: route.aircraft,
+  };
+};
+
+const itineraryParser = function (segments) {
+  const first = segments[0];
+  const last = segments[segments.length - 1];
+  return {
+    id: segments.map((s) => s.flight).join("-"),
+    duration: formatDuration(
+      last.arrivalTime.diff(first.departTime, "minutes")
+    ),
+    price: segments.reduce((total, s) => total + s.price, 0),
+    distance: segments.reduce((total, s) => total + s.distance, 0),
+    fromCode: first.fromCode,
+    toCode: last.toCode,
+    segments: segments.map((s) => ({
+      flight: s.flight,
+      fromCode: s.fromCode,
+      toCode: s.toCode,
+      departTime: s.departTime.toJSON(),
+      arrivalTime: s.arrivalTime.toJSON(),
+      aircraft: s.aircraft,
+    })),
   };
 };
 
 class FlightsRepository {
-  constructor(flights) {
-    this._flights = flights;
+  constructor(routes, options = {}) {
+    this._options = Object.assign({}, defaults, options);
+    this._routesFrom = routes.reduce((byOrigin, route) => {
+      (byOrigin[route.fromCode] = byOrigin[route.fromCode] || []).push(route);
+      return byOrigin;
+    }, {});
+  }
+
+  _departures(fromCode, day) {
+    return (this._routesFrom[fromCode] || [])
+      .map((route) => departureOn(route, day))
+      .filter((departure) => departure);
+  }
+
+  // Departures from an airport that can be caught after arriving there
+  _connections(arrival) {
+    const { minConnection, maxConnection } = this._options;
+    const earliest = moment
+      .utc(arrival.arrivalTime)
+      .add(minConnection, "minutes");
+    const latest = moment
+      .utc(arrival.arrivalTime)
+      .add(maxConnection, "minutes");
+    const day = moment.utc(arrival.arrivalTime).startOf("day");
+    const nextDay = moment.utc(day).add(1, "day");
+    return this._departures(arrival.toCode, day)
+      .concat(this._departures(arrival.toCode, nextDay))
+      .filter((d) => d.departTime.isBetween(earliest, latest, null, "[]"));
   }
 
   findFlights(fromCode, toCode, day) {
-    return this._flights.map(flightParser(fromCode, toCode, day));
+    const { maxStops, maxResults, maxDetour } = this._options;
+    const searchDay = moment.utc(moment(day).format("YYYY-MM-DD"));
+    const itineraries = [];
+
+    const extend = (segments) => {
+      const last = segments[segments.length - 1];
+      if (last.toCode == toCode) {
+        itineraries.push(segments);
+        return;
+      }
+      if (segments.length > maxStops) return;
+      const visited = segments.map((s) => s.fromCode);
+      this._connections(last)
+        .filter((next) => !visited.includes(next.toCode))
+        .forEach((next) => extend(segments.concat(next)));
+    };
+
+    this._departures(fromCode, searchDay).forEach((first) => extend([first]));
+
+    const minutes = (segments) =>
+      segments[segments.length - 1].arrivalTime.diff(segments[0].departTime);
+    const sum = (segments, key) => segments.reduce((t, s) => t + s[key], 0);
+    const price = (segments) => sum(segments, "price");
+    const distance = (segments) => sum(segments, "distance");
+    const shortest = Math.min(...itineraries.map(distance));
+    return itineraries
+      .filter((segments) => distance(segments) <= shortest * maxDetour)
+      .sort((a, b) => minutes(a) - minutes(b) || price(a) - price(b))
+      .slice(0, maxResults)
+      .map(itineraryParser);
   }
 
   findFlightById(fromCode, toCode, day, id) {
-    const result = this._flights.find((f) => f.id == id);
-    if (!result) return null;
-    return flightParser(fromCode, toCode, day)(result);
+    const result = this.findFlights(fromCode, toCode, day).find(
+      (f) => f.id == id
+    );
+    return result || null;
   }
 }
 
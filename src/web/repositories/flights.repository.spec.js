@@ -0,0 +1,122 @@
+const FlightsRepository = require("./flights.repository");
+
+const everyDay = [1, 2, 3, 4, 5, 6, 7];
+const route = (flight, fromCode, toCode, departTime, duration, extra) =>
+  Object.assign(
+    {
+      flight,
+      fromCode,
+      toCode,
+      days: everyDay,
+      departTime,
+      duration,
+      distance: duration * 8,
+      price: 100,
+    },
+    extra
+  );
+
+// Monday
+const day = new Date(2025, 10, 3);
+
+describe("[Unit] That Flights Repository", () => {
+  it("finds nonstop flights", () => {
+    const repo = new FlightsRepository([
+      route("CA1", "SEA", "JFK", "08:00", 300),
+      route("CA2", "JFK", "SEA", "08:00", 330),
+    ]);
+
+    const flights = repo.findFlights("SEA", "JFK", day);
+    expect(flights).toHaveLength(1);
+    expect(flights[0]).toMatchObject({
+      id: "CA1",
+      duration: "05h 00m",
+      price: 100,
+      fromCode: "SEA",
+      toCode: "JFK",
+    });
+    expect(flights[0].segments[0]).toMatchObject({
+      flight: "CA1",
+      departTime: "2025-11-03T08:00:00.000Z",
+      arrivalTime: "2025-11-03T13:00:00.000Z",
+    });
+  });
+
+  it("only flies on the scheduled days of the week", () => {
+    const repo = new FlightsRepository([
+      route("CA1", "SEA", "JFK", "08:00", 300, { days: [2, 4] }),
+    ]);
+
+    expect(repo.findFlights("SEA", "JFK", day)).toHaveLength(0);
+    expect(repo.findFlights("SEA", "JFK", new Date(2025, 10, 4))).toHaveLength(
+      1
+    );
+  });
+
+  it("connects flights respecting the minimum connection time", () => {
+    const repo = new FlightsRepository(
+      [
+        route("CA1", "SEA", "JFK", "08:00", 300),
+        route("CA2", "JFK", "BCN", "13:30", 480),
+        route("CA3", "JFK", "BCN", "15:00", 480),
+      ],
+      { minConnection: 60 }
+    );
+
+    const flights = repo.findFlights("SEA", "BCN", day);
+    expect(flights.map((f) => f.id)).toEqual(["CA1-CA3"]);
+    expect(flights[0].price).toBe(200);
+    expect(flights[0].duration).toBe("15h 00m");
+  });
+
+  it("connects overnight into the next day", () => {
+    const repo = new FlightsRepository([
+      route("CA1", "SEA", "JFK", "18:00", 300),
+      route("CA2", "JFK", "BCN", "01:00", 480),
+    ]);
+
+    const flights = repo.findFlights("SEA", "BCN", day);
+    expect(flights.map((f) => f.id)).toEqual(["CA1-CA2"]);
+    expect(flights[0].segments[1].departTime).toBe("2025-11-04T01:00:00.000Z");
+  });
+
+  it("never builds more than two stops nor visits an airport twice", () => {
+    const repo = new FlightsRepository([
+      route("CA1", "AAA", "BBB", "06:00", 60),
+      route("CA2", "BBB", "CCC", "08:00", 60),
+      route("CA3", "CCC", "DDD", "10:00", 60),
+      route("CA4", "DDD", "EEE", "12:00", 60),
+      route("CA5", "BBB", "AAA", "08:00", 60),
+    ]);
+
+    expect(repo.findFlights("AAA", "DDD", day).map((f) => f.id)).toEqual([
+      "CA1-CA2-CA3",
+    ]);
+    expect(repo.findFlights("AAA", "EEE", day)).toHaveLength(0);
+  });
+
+  it("drops itineraries that detour too far from the most direct one", () => {
+    const repo = new FlightsRepository([
+      route("CA1", "SEA", "SFO", "08:00", 110),
+      route("CA2", "SEA", "JFK", "06:00", 300),
+      route("CA3", "JFK", "SFO", "13:00", 330),
+    ]);
+
+    expect(repo.findFlights("SEA", "SFO", day).map((f) => f.id)).toEqual([
+      "CA1",
+    ]);
+  });
+
+  it("finds a flight by its id", () => {
+    const repo = new FlightsRepository([
+      route("CA1", "SEA", "JFK", "08:00", 300),
+      route("CA2", "SEA", "JFK", "12:00", 300),
+    ]);
+
+    expect(repo.findFlightById("SEA", "JFK", day, "CA2")).toHaveProperty(
+      "id",
+      "CA2"
+    );
+    expect(repo.findFlightById("SEA", "JFK", day, "CA9")).toBeNull();
+  });
+});
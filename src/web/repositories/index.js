@@ -1,41 +1,208 @@
 const airportsJSON = require("../data/airports");
 const destinationsJSON = require("../data/destinations");
 const dealsJSON = require("../data/deals");
-const flightsJSON = require("../data/flights");
+const routesJSON = require("../data/routes");
+const aircraftJSON = require("../data/aircraft");
+const faresJSON = require("../data/fares");
+const path = require("path");
 const _BookRepository = require("./book.repository");
+const _BookMemoryRepository = require("./book.memory.repository");
 const _FlightsRepository = require("./flights.repository");
+const _SeatsRepository = require("./seats.repository");
+const _SeatsMemoryRepository = require("./seats.memory.repository");
+const _AccountsRepository = require("./accounts.repository");
+const _AccountsMemoryRepository = require("./accounts.memory.repository");
+const _AuditRepository = require("./audit.repository");
+const _AuditMemoryRepository = require("./audit.memory.repository");
+const _SessionsRepository = require("./sessions.repository");
+const _SessionsMemoryRepository = require("./sessions.memory.repository");
+const _TokensRepository = require("./tokens.repository");
+const _TokensMemoryRepository = require("./tokens.memory.repository");
+const _RateLimitsRepository = require("./rate.limits.repository");
+const _RateLimitsMemoryRepository = require("./rate.limits.memory.repository");
+const MemoryStore = require("./memory.store");
+const FileStore = require("./file.store");
 
+const storages = {
+  mongodb: "mongodb",
+  cosmos: "cosmos",
+  file: "file",
+  memory: "memory",
+};
+
+let storage = null;
+let store = null;
 let bookRepository = null;
+let seatsRepository = null;
+let accountsRepository = null;
+let auditRepository = null;
+let sessionsRepository = null;
+let tokensRepository = null;
+let rateLimitsRepository = null;
+
+const cosmosSettings = () => {
+  const listConnectionStringUrl =
+    process.env.AZURE_COSMOS_LISTCONNECTIONSTRINGURL;
+  const scope = process.env.AZURE_COSMOS_SCOPE;
+  const clientId = process.env.AZURE_COSMOS_CLIENTID;
+  return listConnectionStringUrl && scope && clientId
+    ? { listConnectionStringUrl, scope, clientId }
+    : null;
+};
+
+// BOOK_STORAGE picks where bookings live. Without it MONGODB_URI is used when
+// set, then Cosmos DB when configured, and memory otherwise.
+const getStorage = () => {
+  if (!storage) {
+    const configured = process.env.BOOK_STORAGE;
+    if (configured && !storages[configured]) {
+      throw new Error(`Unknown BOOK_STORAGE "${configured}"`);
+    }
+    const fallback = cosmosSettings() ? storages.cosmos : storages.memory;
+    storage =
+      configured || (process.env.MONGODB_URI ? storages.mongodb : fallback);
+  }
+
+  return storage;
+};
+
+// The in-process store shared by bookings and seats
+const getStore = () => {
+  if (!store) {
+    if (getStorage() == storages.file) {
+      const file = path.resolve(
+        process.env.BOOK_STORAGE_FILE ||
+          path.join(__dirname, "../.data/bookings.json")
+      );
+      console.log(`Bookings are stored in ${file}.`);
+      store = new FileStore(file);
+    } else {
+      console.warn("Bookings are kept in memory and lost on restart.");
+      store = new MemoryStore();
+    }
+  }
+
+  return store;
+};
 
 const AirportsRepository = () => airportsJSON;
 const DestinationsRepository = () => destinationsJSON;
 const DealsRepository = () => dealsJSON;
 const BookRepository = () => {
   if (!bookRepository) {
-    const listConnectionStringUrl =
-      process.env.AZURE_COSMOS_LISTCONNECTIONSTRINGURL;
-    const scope = process.env.AZURE_COSMOS_SCOPE;
-    const clientId = process.env.AZURE_COSMOS_CLIENTID;
-
-    if (listConnectionStringUrl && scope && clientId) {
-      console.log(
-        "Azure CosmosDB settings found. Booking functionality enabled."
-      );
-      bookRepository = new _BookRepository({
-        listConnectionStringUrl,
-        scope,
-        clientId,
-      });
+    if (getStorage() == storages.mongodb) {
+      const connectionString = process.env.MONGODB_URI;
+      if (connectionString) {
+        console.log("MongoDB settings found. Booking functionality enabled.");
+        bookRepository = new _BookRepository({ connectionString });
+      } else {
+        console.warn(
+          "MONGODB_URI not set. Booking functionality not available."
+        );
+      }
+    } else if (getStorage() == storages.cosmos) {
+      const settings = cosmosSettings();
+      if (settings) {
+        console.log(
+          "Azure CosmosDB settings found. Booking functionality enabled."
+        );
+        bookRepository = new _BookRepository(settings);
+      } else {
+        console.warn(
+          "Azure CosmosDB settings not found. Booking functionality not available."
+        );
+      }
     } else {
-      console.warn(
-        "Azure CosmosDB settings not found. Booking functionality not available."
-      );
+      bookRepository = new _BookMemoryRepository(getStore());
     }
   }
 
   return bookRepository;
 };
-const FlightsRepository = () => new _FlightsRepository(flightsJSON);
+const FlightsRepository = () => new _FlightsRepository(routesJSON);
+const AircraftRepository = () => aircraftJSON;
+const FaresRepository = () => faresJSON;
+// Seats are stored next to the bookings, so they share availability
+const SeatsRepository = () => {
+  if (!seatsRepository && BookRepository()) {
+    const inProcess = [storages.file, storages.memory];
+    seatsRepository = inProcess.includes(getStorage())
+      ? new _SeatsMemoryRepository(getStore())
+      : new _SeatsRepository(BookRepository().ready());
+  }
+
+  return seatsRepository;
+};
+
+// Accounts live wherever bookings do
+const AccountsRepository = () => {
+  if (!accountsRepository && BookRepository()) {
+    const inProcess = [storages.file, storages.memory];
+    accountsRepository = inProcess.includes(getStorage())
+      ? new _AccountsMemoryRepository(getStore())
+      : new _AccountsRepository(BookRepository().ready());
+  }
+
+  return accountsRepository;
+};
+
+const AuditRepository = () => {
+  if (!auditRepository && BookRepository()) {
+    const inProcess = [storages.file, storages.memory];
+    auditRepository = inProcess.includes(getStorage())
+      ? new _AuditMemoryRepository(getStore())
+      : new _AuditRepository(BookRepository().ready());
+  }
+
+  return auditRepository;
+};
+
+// Sessions are kept apart from the bookings store, they change on every
+// login. Without a database they only survive restarts in a file.
+const SessionsRepository = () => {
+  if (!sessionsRepository) {
+    const database = [storages.mongodb, storages.cosmos];
+    if (database.includes(getStorage()) && BookRepository()) {
+      sessionsRepository = new _SessionsRepository(BookRepository().ready());
+    } else if (getStorage() == storages.file) {
+      const file = path.resolve(
+        process.env.SESSION_STORAGE_FILE ||
+          path.join(__dirname, "../.data/sessions.json")
+      );
+      sessionsRepository = new _SessionsMemoryRepository(new FileStore(file));
+    } else {
+      sessionsRepository = new _SessionsMemoryRepository(new MemoryStore());
+    }
+  }
+
+  return sessionsRepository;
+};
+
+// API tokens are kept with the bookings, like the accounts they belong to
+const TokensRepository = () => {
+  if (!tokensRepository && BookRepository()) {
+    const inProcess = [storages.file, storages.memory];
+    tokensRepository = inProcess.includes(getStorage())
+      ? new _TokensMemoryRepository(getStore())
+      : new _TokensRepository(BookRepository().ready());
+  }
+
+  return tokensRepository;
+};
+
+// Request counters are shared through the database when there is one, so
+// limits hold across instances. Otherwise each instance counts its own.
+const RateLimitsRepository = () => {
+  if (!rateLimitsRepository) {
+    const database = [storages.mongodb, storages.cosmos];
+    rateLimitsRepository =
+      database.includes(getStorage()) && BookRepository()
+        ? new _RateLimitsRepository(BookRepository().ready())
+        : new _RateLimitsMemoryRepository(new MemoryStore());
+  }
+
+  return rateLimitsRepository;
+};
 
 module.exports = {
   AirportsRepository,
@@ -43,4 +210,12 @@ module.exports = {
   DealsRepository,
   BookRepository,
   FlightsRepository,
+  AircraftRepository,
+  SeatsRepository,
+  FaresRepository,
+  AccountsRepository,
+  AuditRepository,
+  SessionsRepository,
+  TokensRepository,
+  RateLimitsRepository,
 };
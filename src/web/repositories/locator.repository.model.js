@@ -0,0 +1,11 @@
+const mongoose = require("mongoose");
+const Schema = mongoose.Schema;
+
+const LocatorModelSchema = new Schema({
+  locator: String,
+});
+
+// Every booking gets its own record locator
+LocatorModelSchema.index({ locator: 1 }, { unique: true });
+
+module.exports = LocatorModelSchema;
@@ -0,0 +1,24 @@
+// Bookings, record locators, seats, user accounts, the audit log, login
+// sessions, API tokens and request counters kept in the process, for tests and
+// for running the app without a database
+class MemoryStore {
+  constructor(data = {}) {
+    this.data = Object.assign(
+      {
+        users: [],
+        locators: [],
+        seats: [],
+        accounts: [],
+        audit: [],
+        sessions: {},
+        tokens: [],
+        rateLimits: {},
+      },
+      data
+    );
+  }
+
+  async save() {}
+}
+
+module.exports = MemoryStore;
@@ -0,0 +1,28 @@
+// Same contract as RateLimitsRepository over a MemoryStore, counting the
+// requests of this instance only
+class RateLimitsMemoryRepository {
+  constructor(store) {
+    this._store = store;
+  }
+
+  // Counters of windows that are over are dropped whenever one is created
+  _prune(now) {
+    const counters = this._store.data.rateLimits;
+    Object.keys(counters)
+      .filter((id) => new Date(counters[id].expiresAt) <= now)
+      .forEach((id) => delete counters[id]);
+  }
+
+  async increment(id, expiresAt, now = new Date()) {
+    const counters = this._store.data.rateLimits;
+    if (!counters[id]) {
+      this._prune(now);
+      counters[id] = { count: 0, expiresAt: expiresAt.toJSON() };
+    }
+    counters[id].count++;
+    await this._store.save();
+    return counters[id].count;
+  }
+}
+
+module.exports = RateLimitsMemoryRepository;
@@ -0,0 +1,43 @@
+const mongoose = require("mongoose");
+const RateLimitModelSchema = require("./rate.limits.repository.model");
+
+const duplicateKey = 11000;
+
+// Request counters, shared by every instance of the app so limits hold
+// whichever one is hit. It relies on the connection opened by
+// BookFlightsRepository, so it waits until that one is ready.
+class RateLimitsRepository {
+  constructor(ready) {
+    this._ready = ready;
+  }
+
+  async _model() {
+    await this._ready;
+    return mongoose.model("RateLimitModel", RateLimitModelSchema);
+  }
+
+  // Adds one to the counter and returns its new value. Counters are created
+  // on their first request, when two of them race one gets a duplicate key
+  // error and tries again.
+  async increment(id, expiresAt) {
+    const RateLimitModel = await this._model();
+    const increment = () =>
+      RateLimitModel.findOneAndUpdate(
+        { _id: id },
+        { $inc: { count: 1 }, $setOnInsert: { expiresAt } },
+        { upsert: true, new: true }
+      )
+        .lean()
+        .exec();
+    let result;
+    try {
+      result = await increment();
+    } catch (error) {
+      if (error.code != duplicateKey) throw error;
+      result = await increment();
+    }
+    return result.count;
+  }
+}
+
+module.exports = RateLimitsRepository;
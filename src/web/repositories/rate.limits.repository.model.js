@@ -0,0 +1,14 @@
+const mongoose = require("mongoose");
+const Schema = mongoose.Schema;
+
+// Requests counted for a key during a window, by limiter, key and window
+const RateLimitModelSchema = new Schema({
+  _id: String,
+  count: Number,
+  expiresAt: Date,
+});
+
+// The database drops counters on its own once their window is over
+RateLimitModelSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = RateLimitModelSchema;
@@ -0,0 +1,39 @@
+// Same contract as SeatsRepository over a MemoryStore
+class SeatsMemoryRepository {
+  constructor(store) {
+    this._store = store;
+  }
+
+  _taken(flight, date) {
+    return this._store.data.seats.filter(
+      (s) => s.flight == flight && s.date == date
+    );
+  }
+
+  async getTakenSeats(flight, date) {
+    return this._taken(flight, date).map((s) => s.seat);
+  }
+
+  // Takes all the seats for a booking or none of them
+  async reserveSeats(flight, date, seats, bookingId) {
+    const taken = await this.getTakenSeats(flight, date);
+    if (seats.some((seat) => taken.includes(seat))) return false;
+    seats.forEach((seat) =>
+      this._store.data.seats.push({ flight, date, seat, bookingId })
+    );
+    await this._store.save();
+    return true;
+  }
+
+  async releaseSeats(bookingId, flight, date, seats) {
+    this._store.data.seats = this._store.data.seats.filter(
+      (s) =>
+        s.bookingId != bookingId ||
+        (flight && (s.flight != flight || s.date != date)) ||
+        (seats && !seats.includes(s.seat))
+    );
+    await this._store.save();
+  }
+}
+
+module.exports = SeatsMemoryRepository;
@@ -0,0 +1,39 @@
+const SeatsMemoryRepository = require("./seats.memory.repository");
+const MemoryStore = require("./memory.store");
+
+describe("[Unit] That Seats Memory Repository", () => {
+  it("takes all the seats of a booking or none", async () => {
+    const repo = new SeatsMemoryRepository(new MemoryStore());
+
+    expect(await repo.reserveSeats("CA1", "2025-11-03", ["1A"], "b1")).toBe(
+      true
+    );
+    expect(
+      await repo.reserveSeats("CA1", "2025-11-03", ["1B", "1A"], "b2")
+    ).toBe(false);
+    expect(await repo.getTakenSeats("CA1", "2025-11-03")).toEqual(["1A"]);
+    expect(await repo.getTakenSeats("CA1", "2025-11-04")).toEqual([]);
+  });
+
+  it("releases the seats of a booking on one flight or on all", async () => {
+    const repo = new SeatsMemoryRepository(new MemoryStore());
+    await repo.reserveSeats("CA1", "2025-11-03", ["1A"], "b1");
+    await repo.reserveSeats("CA2", "2025-11-04", ["2A"], "b1");
+    await repo.reserveSeats("CA2", "2025-11-04", ["2B"], "b2");
+
+    await repo.releaseSeats("b1", "CA2", "2025-11-04");
+    expect(await repo.getTakenSeats("CA1", "2025-11-03")).toEqual(["1A"]);
+    expect(await repo.getTakenSeats("CA2", "2025-11-04")).toEqual(["2B"]);
+
+    await repo.releaseSeats("b1");
+    expect(await repo.getTakenSeats("CA1", "2025-11-03")).toEqual([]);
+  });
+
+  it("releases some seats of a booking on a flight", async () => {
+    const repo = new SeatsMemoryRepository(new MemoryStore());
+    await repo.reserveSeats("CA1", "2025-11-03", ["1A", "1B"], "b1");
+
+    await repo.releaseSeats("b1", "CA1", "2025-11-03", ["1A"]);
+    expect(await repo.getTakenSeats("CA1", "2025-11-03")).toEqual(["1B"]);
+  });
+});
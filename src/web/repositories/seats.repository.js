@@ -0,0 +1,52 @@
+const mongoose = require("mongoose");
+const SeatModelSchema = require("./seats.repository.model");
+
+const duplicateKeyError = 11000;
+
+// Seat inventory shared by every booking. It relies on the connection opened
+// by BookFlightsRepository, so it waits until that one is ready.
+class SeatsRepository {
+  constructor(ready) {
+    this._ready = ready;
+  }
+
+  async _model() {
+    await this._ready;
+    return mongoose.model("SeatModel", SeatModelSchema);
+  }
+
+  async getTakenSeats(flight, date) {
+    const SeatModel = await this._model();
+    const result = await SeatModel.find({ flight, date }).lean().exec();
+    return result.map((s) => s.seat);
+  }
+
+  // Takes all the seats for a booking or none of them
+  async reserveSeats(flight, date, seats, bookingId) {
+    const SeatModel = await this._model();
+    try {
+      await SeatModel.insertMany(
+        seats.map((seat) => ({ flight, date, seat, bookingId }))
+      );
+      return true;
+    } catch (error) {
+      if (error.code != duplicateKeyError) throw error;
+      await SeatModel.deleteMany({
+        flight,
+        date,
+        seat: { $in: seats },
+        bookingId,
+      });
+      return false;
+    }
+  }
+
+  async releaseSeats(bookingId, flight, date, seats) {
+    const SeatModel = await this._model();
+    const filter = flight ? { bookingId, flight, date } : { bookingId };
+    if (seats) filter.seat = { $in: seats };
+    await SeatModel.deleteMany(filter);
+  }
+}
+
+module.exports = SeatsRepository;
@@ -0,0 +1,14 @@
+const mongoose = require("mongoose");
+const Schema = mongoose.Schema;
+
+const SeatModelSchema = new Schema({
+  flight: String,
+  date: String,
+  seat: String,
+  bookingId: String,
+});
+
+// A seat can only be held once per flight and date
+SeatModelSchema.index({ flight: 1, date: 1, seat: 1 }, { unique: true });
+
+module.exports = SeatModelSchema;
@@ -0,0 +1,43 @@
+// Same contract as SessionsRepository over a MemoryStore
+class SessionsMemoryRepository {
+  constructor(store) {
+    this._store = store;
+  }
+
+  // Expired sessions are dropped whenever one is saved
+  _prune(now) {
+    const sessions = this._store.data.sessions;
+    Object.keys(sessions)
+      .filter((sid) => new Date(sessions[sid].expiresAt) <= now)
+      .forEach((sid) => delete sessions[sid]);
+  }
+
+  async get(sid, now = new Date()) {
+    const result = this._store.data.sessions[sid];
+    if (!result || new Date(result.expiresAt) <= now) return null;
+    return JSON.parse(result.session);
+  }
+
+  async set(sid, session, expiresAt, now = new Date()) {
+    this._prune(now);
+    this._store.data.sessions[sid] = {
+      session: JSON.stringify(session),
+      expiresAt: expiresAt.toJSON(),
+    };
+    await this._store.save();
+  }
+
+  async touch(sid, expiresAt) {
+    const result = this._store.data.sessions[sid];
+    if (!result) return;
+    result.expiresAt = expiresAt.toJSON();
+    await this._store.save();
+  }
+
+  async destroy(sid) {
+    delete this._store.data.sessions[sid];
+    await this._store.save();
+  }
+}
+
+module.exports = SessionsMemoryRepository;
@@ -0,0 +1,49 @@
+const mongoose = require("mongoose");
+const SessionModelSchema = require("./sessions.repository.model");
+
+// Login sessions, shared by every instance of the app. It relies on the
+// connection opened by BookFlightsRepository, so it waits until that one is
+// ready.
+class SessionsRepository {
+  constructor(ready) {
+    this._ready = ready;
+  }
+
+  async _model() {
+    await this._ready;
+    return mongoose.model("SessionModel", SessionModelSchema);
+  }
+
+  // Expired sessions may be kept for a while before the database drops them
+  async get(sid, now = new Date()) {
+    const SessionModel = await this._model();
+    const result = await SessionModel.findOne({
+      _id: sid,
+      expiresAt: { $gt: now },
+    })
+      .lean()
+      .exec();
+    return result ? JSON.parse(result.session) : null;
+  }
+
+  async set(sid, session, expiresAt) {
+    const SessionModel = await this._model();
+    await SessionModel.updateOne(
+      { _id: sid },
+      { $set: { session: JSON.stringify(session), expiresAt } },
+      { upsert: true }
+    );
+  }
+
+  async touch(sid, expiresAt) {
+    const SessionModel = await this._model();
+    await SessionModel.updateOne({ _id: sid }, { $set: { expiresAt } });
+  }
+
+  async destroy(sid) {
+    const SessionModel = await this._model();
+    await SessionModel.deleteOne({ _id: sid });
+  }
+}
+
+module.exports = SessionsRepository;
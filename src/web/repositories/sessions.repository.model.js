@@ -0,0 +1,13 @@
+const mongoose = require("mongoose");
+const Schema = mongoose.Schema;
+
+const SessionModelSchema = new Schema({
+  _id: String,
+  session: String,
+  expiresAt: Date,
+});
+
+// The database drops sessions on its own once they expire
+SessionModelSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = SessionModelSchema;
@@ -0,0 +1,48 @@
+// Same contract as TokensRepository over a MemoryStore
+class TokensMemoryRepository {
+  constructor(store) {
+    this._store = store;
+  }
+
+  // Expired tokens are dropped whenever one is created
+  _prune(now) {
+    const tokens = this._store.data.tokens;
+    this._store.data.tokens = tokens.filter((t) => new Date(t.expiresAt) > now);
+  }
+
+  async create(token, now = new Date()) {
+    this._prune(now);
+    if (this._store.data.tokens.some((t) => t.id == token.id)) return false;
+    this._store.data.tokens.push(
+      Object.assign({}, token, {
+        expiresAt: new Date(token.expiresAt).toJSON(),
+      })
+    );
+    await this._store.save();
+    return true;
+  }
+
+  async get(id) {
+    const token = this._store.data.tokens.find((t) => t.id == id);
+    return token
+      ? Object.assign({}, token, { expiresAt: new Date(token.expiresAt) })
+      : null;
+  }
+
+  async revoke(id) {
+    const token = this._store.data.tokens.find((t) => t.id == id);
+    if (!token || token.revoked) return false;
+    token.revoked = true;
+    await this._store.save();
+    return true;
+  }
+
+  async revokeFamily(family) {
+    this._store.data.tokens
+      .filter((t) => t.family == family)
+      .forEach((t) => (t.revoked = true));
+    await this._store.save();
+  }
+}
+
+module.exports = TokensMemoryRepository;
@@ -0,0 +1,58 @@
+const mongoose = require("mongoose");
+const TokenModelSchema = require("./tokens.repository.model");
+
+const duplicateKey = 11000;
+
+const toToken = function (result) {
+  if (!result) return null;
+  const { _id, __v, ...token } = result;
+  return Object.assign({ id: _id }, token);
+};
+
+// Tokens handed to API clients. It relies on the connection opened by
+// BookFlightsRepository, so it waits until that one is ready.
+class TokensRepository {
+  constructor(ready) {
+    this._ready = ready;
+  }
+
+  async _model() {
+    await this._ready;
+    return mongoose.model("TokenModel", TokenModelSchema);
+  }
+
+  // Returns false when there is a token with the same id already
+  async create(token) {
+    const TokenModel = await this._model();
+    const { id, ...fields } = token;
+    try {
+      await TokenModel.create(Object.assign({ _id: id }, fields));
+      return true;
+    } catch (error) {
+      if (error.code == duplicateKey) return false;
+      throw error;
+    }
+  }
+
+  async get(id) {
+    const TokenModel = await this._model();
+    return toToken(await TokenModel.findOne({ _id: id }).lean().exec());
+  }
+
+  // Returns whether the token was still valid, only one caller gets true
+  async revoke(id) {
+    const TokenModel = await this._model();
+    const result = await TokenModel.updateOne(
+      { _id: id, revoked: false },
+      { $set: { revoked: true } }
+    );
+    return result.modifiedCount == 1;
+  }
+
+  async revokeFamily(family) {
+    const TokenModel = await this._model();
+    await TokenModel.updateMany({ family }, { $set: { revoked: true } });
+  }
+}
+
+module.exports = TokensRepository;
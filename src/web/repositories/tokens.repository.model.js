@@ -0,0 +1,20 @@
+const mongoose = require("mongoose");
+const Schema = mongoose.Schema;
+
+// Refresh tokens are kept by the hash of their value, revoked access tokens
+// by their id until they expire
+const TokenModelSchema = new Schema({
+  _id: String,
+  kind: String,
+  user: String,
+  scope: String,
+  family: String,
+  revoked: Boolean,
+  expiresAt: Date,
+});
+
+// The database drops tokens on its own once they expire
+TokenModelSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+TokenModelSchema.index({ family: 1 });
+
+module.exports = TokenModelSchema;
@@ -0,0 +1,9 @@
+// Thrown when saving a document that someone else saved since it was read
+class VersionConflictError extends Error {
+  constructor(message = "The document was changed since it was read") {
+    super(message);
+    this.name = "VersionConflictError";
+  }
+}
+
+module.exports = VersionConflictError;
@@ -0,0 +1,122 @@
+const express = require("express");
+
+const { requireRole, available } = require("./helpers");
+const navbarService = require("../services").NavbarService();
+const bookService = require("../services").BookService();
+const accountService = require("../services").AccountService();
+const auditService = require("../services").AuditService();
+const { roles, staffRoles } = require("../services/account.service");
+const { actions } = require("../services/audit.service");
+const { bookingStatus } = require("../services/book.service");
+
+const router = express.Router();
+
+router.use(available(auditService, "Admin area"));
+router.use(requireRole(...staffRoles));
+
+const tripRow = (travel) => ({
+  id: travel.id,
+  user: travel.user,
+  status: travel.status,
+  route: travel.legs.map((l) => `${l.fromCode}-${l.toCode}`).join(", "),
+  departDate: travel.legs.length ? travel.legs[0].departDate : "",
+  passengers: travel.passengers,
+  names: travel.passengerDetails
+    .map((p) => `${p.firstName} ${p.lastName}`)
+    .join(", "),
+  total: travel.total,
+});
+
+router.get("/", async function (req, res, next) {
+  const { q } = req.query;
+  const trips = (await bookService.searchBookings(q)).map(tripRow);
+  res.render("admin", {
+    nav: navbarService.getData(req),
+    q,
+    searched: !!q,
+    trips,
+    isAdmin: req.user.role == roles.admin,
+  });
+});
+
+router.get("/audit", requireRole(roles.admin), async function (req, res) {
+  res.render("admin-audit", {
+    nav: navbarService.getData(req),
+    entries: await auditService.list(),
+  });
+});
+
+router.get("/users/:user", async function (req, res, next) {
+  const { user } = req.params;
+  const { booked, purchased } = await bookService.getUserBookings(user);
+  const account = await accountService.getByName(user);
+  await auditService.record(req.user, actions.viewed, user);
+  res.render("admin-user", {
+    nav: navbarService.getData(req),
+    user,
+    account,
+    isAdmin: req.user.role == roles.admin,
+    roles: Object.keys(roles).map((value) => ({
+      value,
+      selected: account && account.role == value,
+    })),
+    booked:
+      booked && Object.assign(tripRow(booked), { expired: booked.expired }),
+    purchased: purchased.map((travel) =>
+      Object.assign(tripRow(travel), {
+        cancellable: !!bookService.getRefund(travel),
+        refundable: travel.status == bookingStatus.cancelled,
+      })
+    ),
+    entries: await auditService.list(user),
+  });
+});
+
+// Cancels the trip under the usual fare rules and refunds it, as the
+// customer would do themselves
+router.post("/users/:user/cancel", async function (req, res) {
+  const { user } = req.params;
+  const { id } = req.body;
+  const refund = await bookService.cancel(user, id);
+  await auditService.record(
+    req.user,
+    actions.cancelled,
+    user,
+    id,
+    `$${refund.amount} to refund`
+  );
+  const amount = await bookService.refund(user, id);
+  await auditService.record(req.user, actions.refunded, user, id, `$${amount}`);
+  res.redirect(`/admin/users/${encodeURIComponent(user)}`);
+});
+
+router.post("/users/:user/refund", async function (req, res) {
+  const { user } = req.params;
+  const { id } = req.body;
+  const amount = await bookService.refund(user, id);
+  await auditService.record(req.user, actions.refunded, user, id, `$${amount}`);
+  res.redirect(`/admin/users/${encodeURIComponent(user)}`);
+});
+
+router.post("/users/:user/release", async function (req, res) {
+  const { user } = req.params;
+  const id = await bookService.releaseHold(user);
+  if (id) {
+    await auditService.record(req.user, actions.releasedHold, user, id);
+  }
+  res.redirect(`/admin/users/${encodeURIComponent(user)}`);
+});
+
+router.post(
+  "/users/:user/role",
+  requireRole(roles.admin),
+  async function (req, res) {
+    const { user } = req.params;
+    const { role } = req.body;
+    await accountService.setRole(user, role);
+    await auditService.record(req.user, actions.changedRole, user, null, role);
+    res.redirect(`/admin/users/${encodeURIComponent(user)}`);
+  }
+);
+
+module.exports = router;
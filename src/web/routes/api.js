@@ -0,0 +1,308 @@
+const createError = require("http-errors");
+const express = require("express");
+const moment = require("moment");
+
+const airportsService = require("../services").AirportsService();
+const flightsService = require("../services").FlightsService();
+const dealsService = require("../services").DealsService();
+const bookService = require("../services").BookService();
+const seatMapService = require("../services").SeatMapService();
+const flightFiltersService = require("../services").FlightFiltersService();
+const BookFormService = require("../services/book.form.service");
+const tokenService = require("../services").TokenService();
+const TokenService = require("../services/token.service");
+const { describe } = require("../config/openapi.config");
+const { limit } = require("../config/rate.limit.config");
+const { available, requireScopes } = require("./helpers");
+const schemas = require("./api.schemas");
+
+const { tripTypes } = BookFormService;
+const { bookingsRead, bookingsWrite } = TokenService.scopes;
+// The docs tell the lifetime tokens are given here, ACCESS_TOKEN_MINUTES included
+const accessMinutes = tokenService
+  ? tokenService.accessMinutes
+  : TokenService.accessMinutes;
+
+const router = express.Router();
+
+// Lists are sent a page at a time, page numbers start at 1
+const paginate = function (list, { page, pageSize }) {
+  const start = (page - 1) * pageSize;
+  return {
+    data: list.slice(start, start + pageSize),
+    page,
+    pageSize,
+    total: list.length,
+  };
+};
+
+const isAirport = (code) =>
+  airportsService.getAll().some((airport) => airport.code == code);
+
+const parseDate = (value) => moment.utc(value, "YYYY-MM-DD");
+
+// What the schemas can't tell about a fromCode and toCode, with the name they
+// go by
+const routeErrors = function ({ fromCode, toCode }, name = "") {
+  const errors = [];
+  if (!isAirport(fromCode)) errors.push(`${name}fromCode must be an airport`);
+  if (!isAirport(toCode)) errors.push(`${name}toCode must be an airport`);
+  if (fromCode == toCode) errors.push(`${name}toCode must not be fromCode`);
+  return errors;
+};
+
+const invalid = function (errors) {
+  return createError(400, "Invalid request", { errors });
+};
+
+const defaultTripType = function (legs) {
+  if (legs.length == 1) return tripTypes.oneWay;
+  return legs.length == 2 ? tripTypes.roundTrip : tripTypes.multiCity;
+};
+
+// The flights of every leg, as found by GET /flights
+const findFlights = function (legs) {
+  const errors = legs.flatMap((leg, i) => routeErrors(leg, `legs[${i}].`));
+  if (errors.length) throw invalid(errors);
+
+  const flights = legs.map((leg, i) => {
+    const flight = flightsService.getFlightById(
+      leg.fromCode,
+      leg.toCode,
+      parseDate(leg.date),
+      leg.flight
+    );
+    if (!flight) errors.push(`legs[${i}].flight was not found`);
+    return flight;
+  });
+  if (errors.length) throw invalid(errors);
+  return flights;
+};
+
+// The best seats together on every segment, like the seats page offers
+const suggestSeats = async function (booked) {
+  const seats = [];
+  for (const leg of booked.legs) {
+    const segments = [];
+    for (const segment of leg.segments) {
+      const seatMap = await seatMapService.getSeatMap(segment);
+      segments.push(seatMapService.suggestSeats(seatMap, booked.passengers));
+    }
+    seats.push(segments);
+  }
+  return seats;
+};
+
+// OAuth 2 style token endpoint, for clients that can't keep a session
+router.post(
+  "/token",
+  available(tokenService, "Tokens"),
+  limit("login"),
+  describe({
+    summary: "Get access tokens",
+    description: `Exchanges the credentials of an account, or a refresh token, for an access token valid for ${accessMinutes} minutes and a refresh token to get the next ones. Refresh tokens work once.`,
+    tags: ["Tokens"],
+    body: schemas.tokenRequest,
+    responses: {
+      200: { description: "Tokens", schema: schemas.token },
+      400: { description: "Wrong credentials or refresh token" },
+      429: {
+        description: "Too many attempts, retry after Retry-After seconds",
+      },
+    },
+  }),
+  async function (req, res) {
+    const { grant_type, username, password, scope } = req.body;
+    let token;
+    if (grant_type == "password") {
+      if (!username || !password) {
+        throw invalid(["username and password are needed"]);
+      }
+      const result = await tokenService.createToken(username, password, scope);
+      if (result.error) throw createError(400, req.__(result.error));
+      token = result.token;
+    } else {
+      if (!req.body.refresh_token) {
+        throw invalid(["refresh_token is needed"]);
+      }
+      token = await tokenService.refresh(req.body.refresh_token);
+    }
+    res.set("Cache-Control", "no-store");
+    res.json(token);
+  }
+);
+
+router.post(
+  "/token/revoke",
+  available(tokenService, "Tokens"),
+  describe({
+    summary: "Revoke a token",
+    description:
+      "Access tokens stop working right away. Revoking a refresh token revokes every refresh token it was exchanged for too.",
+    tags: ["Tokens"],
+    body: schemas.revokeRequest,
+    responses: { 200: { description: "Revoked, or not a token" } },
+  }),
+  async function (req, res) {
+    await tokenService.revoke(req.body.token);
+    res.status(200).end();
+  }
+);
+
+router.get(
+  "/airports",
+  describe({
+    summary: "Airports to fly from and to",
+    tags: ["Flights"],
+    query: schemas.pagination,
+    responses: {
+      200: { description: "Airports", schema: schemas.page(schemas.airport) },
+    },
+  }),
+  function (req, res) {
+    res.json(paginate(airportsService.getAll(), req.query));
+  }
+);
+
+router.get(
+  "/deals",
+  describe({
+    summary: "Cheapest flight deals",
+    tags: ["Flights"],
+    query: schemas.pagination,
+    responses: {
+      200: {
+        description: "Deals, cheapest first",
+        schema: schemas.page(schemas.deal),
+      },
+    },
+  }),
+  function (req, res) {
+    res.json(paginate(dealsService.getFlightDeals(), req.query));
+  }
+);
+
+router.get(
+  "/flights",
+  describe({
+    summary: "Flights of a day",
+    description: "Filtered and sorted like the flights page",
+    tags: ["Flights"],
+    query: Object.assign(
+      {
+        fromCode: schemas.airportCode,
+        toCode: schemas.airportCode,
+        date: schemas.date,
+      },
+      schemas.flightFilters,
+      schemas.pagination
+    ),
+    required: ["fromCode", "toCode", "date"],
+    responses: {
+      200: { description: "Flights", schema: schemas.page(schemas.flight) },
+    },
+  }),
+  function (req, res) {
+    const errors = routeErrors(req.query);
+    if (errors.length) throw invalid(errors);
+
+    const { fromCode, toCode, date } = req.query;
+    const flights = flightsService.getFlights(
+      fromCode,
+      toCode,
+      parseDate(date),
+      flightFiltersService.getFilters(req.query)
+    );
+    res.json(paginate(flights, req.query));
+  }
+);
+
+router.get(
+  "/bookings",
+  requireScopes(bookingsRead),
+  describe({
+    summary: "Trips purchased by the user",
+    tags: ["Bookings"],
+    auth: [bookingsRead],
+    query: schemas.pagination,
+    responses: {
+      200: { description: "Trips", schema: schemas.page(schemas.booking) },
+    },
+  }),
+  async function (req, res) {
+    res.json(paginate(await bookService.getFlights(req.user.name), req.query));
+  }
+);
+
+// Holds the flights for the passengers, on the seats asked for or the best
+// ones available. Nothing is held when any of it fails.
+router.post(
+  "/bookings",
+  requireScopes(bookingsWrite),
+  describe({
+    summary: "Hold a trip",
+    description:
+      "Holds the flights and seats of a trip, replacing the trip held before. It must be purchased before the hold expires.",
+    tags: ["Bookings"],
+    auth: [bookingsWrite],
+    body: schemas.newBooking,
+    responses: {
+      201: { description: "Held trip", schema: schemas.data(schemas.booking) },
+    },
+  }),
+  async function (req, res) {
+    const { legs, passengers, passengerDetails, seats } = req.body;
+    const tripType = req.body.tripType || defaultTripType(legs);
+    const flights = findFlights(legs);
+    const username = req.user.name;
+
+    await bookService.bookFlight(username, flights, passengers, tripType);
+    try {
+      await bookService.savePassengerDetails(username, passengerDetails);
+      const booked = await bookService.getBooked(username);
+      await bookService.chooseSeats(
+        username,
+        seats || (await suggestSeats(booked))
+      );
+    } catch (error) {
+      await bookService.releaseHold(username);
+      throw error;
+    }
+    res.status(201).json({ data: await bookService.getBooked(username) });
+  }
+);
+
+router.post(
+  "/bookings/:id/purchase",
+  requireScopes(bookingsWrite),
+  describe({
+    summary: "Purchase the held trip",
+    tags: ["Bookings"],
+    auth: [bookingsWrite],
+    params: {
+      id: { type: "string", description: "Record locator of the held trip" },
+    },
+    responses: {
+      200: {
+        description: "Purchased trip",
+        schema: schemas.data(schemas.booking),
+      },
+      404: { description: "No trip with this id is held" },
+      409: { description: "The trip lacks passenger details or seats" },
+    },
+  }),
+  async function (req, res) {
+    const username = req.user.name;
+    const id = await bookService.purchase(username, req.params.id);
+    if (!id) {
+      throw createError(404, "There is no held booking with this id");
+    }
+    res.json({ data: await bookService.getFlightById(username, id) });
+  }
+);
+
+router.use(function (req, res, next) {
+  next(createError(404, "Not found"));
+});
+
+module.exports = router;
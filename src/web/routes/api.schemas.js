@@ -0,0 +1,252 @@
+const BookFormService = require("../services/book.form.service");
+const BookService = require("../services/book.service");
+const FlightsService = require("../services/flights.service");
+const TokenService = require("../services/token.service");
+
+const text = { type: "string" };
+const integer = { type: "integer" };
+const number = { type: "number" };
+
+const airportCode = {
+  type: "string",
+  pattern: "^[A-Z]{3}$",
+  description: "IATA code of an airport",
+  example: "SEA",
+};
+
+const date = { type: "string", format: "date", example: "2026-12-07" };
+
+const object = (properties, required) =>
+  Object.assign({ type: "object", properties }, required ? { required } : {});
+
+const airport = object({
+  code: airportCode,
+  name: text,
+  city: text,
+  country: text,
+});
+
+const deal = object({
+  fromCode: airportCode,
+  fromName: text,
+  toCode: airportCode,
+  toName: text,
+  price: integer,
+  since: text,
+});
+
+const segment = object({
+  flight: text,
+  fromCode: airportCode,
+  fromCity: text,
+  toCode: airportCode,
+  toCity: text,
+  date,
+  departTime: text,
+  arrivalTime: text,
+  aircraft: text,
+  seats: { type: "array", items: text },
+});
+
+const flight = object({
+  id: { type: "string", example: "CA102-CA163" },
+  segments: { type: "array", items: segment },
+  departDate: text,
+  duration: text,
+  durationMinutes: integer,
+  distance: number,
+  stops: integer,
+  price: number,
+});
+
+const passengerFields = [
+  "firstName",
+  "lastName",
+  "dateOfBirth",
+  "category",
+  "documentType",
+  "documentNumber",
+  "documentExpiry",
+  "nationality",
+  "email",
+  "phone",
+];
+
+const passengerDetails = object(
+  Object.assign({}, ...passengerFields.map((field) => ({ [field]: text })), {
+    dateOfBirth: date,
+    documentExpiry: date,
+  }),
+  passengerFields
+);
+
+const booking = object({
+  id: { type: "string", description: "Record locator", example: "5V3UFL" },
+  tripType: { enum: Object.values(BookFormService.tripTypes) },
+  status: { enum: Object.values(BookService.bookingStatus) },
+  passengers: integer,
+  legs: {
+    type: "array",
+    items: object({
+      fromCode: airportCode,
+      toCode: airportCode,
+      departDate: text,
+      duration: text,
+      stops: integer,
+      price: number,
+      subtotal: number,
+      segments: { type: "array", items: segment },
+    }),
+  },
+  passengerDetails: { type: "array", items: passengerDetails },
+  total: number,
+  expiresAt: {
+    type: "string",
+    format: "date-time",
+    description: "When a held trip is released",
+  },
+  refund: { type: "number", description: "Amount given back on cancel" },
+  history: {
+    type: "array",
+    items: object({
+      status: text,
+      date: { type: "string", format: "date-time" },
+      amount: number,
+      note: text,
+    }),
+  },
+});
+
+const newBooking = object(
+  {
+    tripType: {
+      enum: Object.values(BookFormService.tripTypes),
+      description:
+        "oneway for a single leg and roundtrip for two by default, multicity otherwise",
+    },
+    passengers: {
+      type: "integer",
+      minimum: 1,
+      maximum: BookFormService.maxPassengers,
+    },
+    legs: {
+      type: "array",
+      minItems: 1,
+      maxItems: BookFormService.maxLegs,
+      items: object(
+        {
+          fromCode: airportCode,
+          toCode: airportCode,
+          date,
+          flight: {
+            type: "string",
+            description: "id of a flight found by GET /flights",
+            example: "CA102-CA163",
+          },
+        },
+        ["fromCode", "toCode", "date", "flight"]
+      ),
+    },
+    passengerDetails: {
+      type: "array",
+      minItems: 1,
+      maxItems: BookFormService.maxPassengers,
+      items: passengerDetails,
+    },
+    seats: {
+      type: "array",
+      description:
+        "Seats of every passenger, for every segment of every leg. The best ones available are picked when left out.",
+      items: {
+        type: "array",
+        items: { type: "array", items: { type: "string", example: "12A" } },
+      },
+    },
+  },
+  ["passengers", "legs", "passengerDetails"]
+);
+
+const maxPageSize = 100;
+
+const pagination = {
+  page: { type: "integer", minimum: 1, default: 1 },
+  pageSize: { type: "integer", minimum: 1, maximum: maxPageSize, default: 20 },
+};
+
+const page = (items) =>
+  object({
+    data: { type: "array", items },
+    page: integer,
+    pageSize: integer,
+    total: integer,
+  });
+
+const data = (schema) => object({ data: schema });
+
+const flightFilters = {
+  stops: {
+    type: "array",
+    items: { type: "integer", minimum: 0, maximum: FlightsService.maxStops },
+    description: `Stops of the flights, ${FlightsService.maxStops} for that many or more`,
+  },
+  departAfter: { type: "integer", minimum: 0, maximum: 24 },
+  departBefore: { type: "integer", minimum: 0, maximum: 24 },
+  maxDuration: { type: "number", minimum: 0, description: "In hours" },
+  via: Object.assign({}, airportCode, {
+    description: "Airport of a connection",
+  }),
+  maxPrice: { type: "number", minimum: 0 },
+  sort: { enum: FlightsService.sortOptions, default: "price" },
+};
+
+const scope = {
+  type: "string",
+  description: `Scopes separated by spaces, out of ${Object.values(
+    TokenService.scopes
+  ).join(" ")}. Every one by default.`,
+  example: Object.values(TokenService.scopes).join(" "),
+};
+
+const tokenRequest = object(
+  {
+    grant_type: { enum: ["password", "refresh_token"] },
+    username: { type: "string", description: "With the password grant" },
+    password: { type: "string", description: "With the password grant" },
+    scope,
+    refresh_token: {
+      type: "string",
+      description: "With the refresh_token grant",
+    },
+  },
+  ["grant_type"]
+);
+
+const token = object({
+  access_token: text,
+  token_type: { type: "string", example: "Bearer" },
+  expires_in: { type: "integer", description: "In seconds" },
+  refresh_token: text,
+  scope,
+});
+
+const revokeRequest = object(
+  { token: { type: "string", description: "Access or refresh token" } },
+  ["token"]
+);
+
+module.exports = {
+  airportCode,
+  date,
+  airport,
+  deal,
+  flight,
+  booking,
+  newBooking,
+  pagination,
+  page,
+  data,
+  flightFilters,
+  tokenRequest,
+  token,
+  revokeRequest,
+};
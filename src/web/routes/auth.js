@@ -1,6 +1,9 @@
 const express = require("express");
 const passport = require("passport");
 
+const oidc = require("../config/oidc.config");
+const { limit } = require("../config/rate.limit.config");
+
 const navbarService = require("../services").NavbarService();
 
 const router = express.Router();
@@ -15,9 +18,12 @@ router.get("/", function (req, res, next) {
     });
   } else {
     const errors = req.flash("error");
+    const messages = req.flash("info");
     const vm = {
       nav: navbarService.getData(req),
       errors,
+      messages,
+      companyLogin: !!oidc.getSettings(),
     };
     res.render("login", vm);
   }
@@ -25,6 +31,7 @@ router.get("/", function (req, res, next) {
 
 router.post(
   "/",
+  limit("login"),
   passport.authenticate("local", {
     successRedirect: "/",
     failureRedirect: "/login",
@@ -1,10 +1,11 @@
 const express = require("express");
 const moment = require("moment");
 
-const { encodeData, secured } = require("./helpers");
+const { encodeData, encodeLegs, toArray, secured } = require("./helpers");
 const navbarService = require("../services").NavbarService();
 const bookFormService = require("../services").BookFormService();
 const dealsService = require("../services").DealsService();
+const { tripTypes } = require("../services/book.form.service");
 
 const dateFormat = "YYYY-MM-DD";
 const router = express.Router();
@@ -22,20 +23,36 @@ router.get("/", secured, function (req, res, next) {
 });
 
 router.post("/", secured, function (req, res, next) {
-  const dpa = req.body.dpa || moment();
-  const dpb = req.body.dpb || moment().add(7, "days");
-  const fromCode = req.body.fromCode || "BCN";
-  const toCode = req.body.toCode || "SEA";
+  const tripType = req.body.tripType || tripTypes.roundTrip;
   const passengers = req.body.passengers || 1;
+  const toDate = (date) => moment(date, dateFormat).toJSON();
+
+  let legs;
+  if (tripType == tripTypes.multiCity) {
+    const fromCodes = toArray(req.body.fromCode);
+    const toCodes = toArray(req.body.toCode);
+    const dates = toArray(req.body.dpa);
+    legs = fromCodes
+      .map((fromCode, i) => ({ fromCode, toCode: toCodes[i], date: dates[i] }))
+      .filter((leg) => leg.fromCode && leg.toCode && leg.date)
+      .map((leg) => Object.assign(leg, { date: toDate(leg.date) }));
+    if (!legs.length) {
+      return res.redirect("/book");
+    }
+  } else {
+    const dpa = toArray(req.body.dpa)[0] || moment();
+    const dpb = req.body.dpb || moment().add(7, "days");
+    const fromCode = toArray(req.body.fromCode)[0] || "BCN";
+    const toCode = toArray(req.body.toCode)[0] || "SEA";
+    legs = [{ fromCode, toCode, date: toDate(dpa) }];
+    if (tripType != tripTypes.oneWay) {
+      legs.push({ fromCode: toCode, toCode: fromCode, date: toDate(dpb) });
+    }
+  }
+
   res.redirect(
     "/book/flights?" +
-      encodeData({
-        fromCode,
-        toCode,
-        passengers,
-        dpa: moment(dpa, dateFormat).toJSON(),
-        dpb: moment(dpb, dateFormat).toJSON(),
-      })
+      encodeData(Object.assign({ tripType, passengers }, encodeLegs(legs)))
   );
 });
 
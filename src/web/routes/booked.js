@@ -3,11 +3,26 @@ const express = require("express");
 const { secured } = require("./helpers");
 const navbarService = require("../services").NavbarService();
 const bookService = require("../services").BookService();
+const { bookingStatus } = require("../services/book.service");
 
 const router = express.Router();
 
+const statusText = function (flight) {
+  if (flight.status == bookingStatus.cancelled) return "Cancelled";
+  if (flight.status == bookingStatus.refunded) {
+    return `Cancelled, $${flight.refund} refunded`;
+  }
+  return null;
+};
+
 router.get("/", secured, async function (req, res, next) {
-  const flights = await bookService.getFlights(req.user.name);
+  const flights = (await bookService.getFlights(req.user.name)).map((f) =>
+    Object.assign(f, {
+      cancellable: !!bookService.getRefund(f),
+      changeable: bookService.canChange(f),
+      statusText: statusText(f),
+    })
+  );
   const vm = {
     nav: navbarService.getData(req),
     flights,
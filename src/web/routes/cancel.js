@@ -0,0 +1,35 @@
+const express = require("express");
+
+const { secured } = require("./helpers");
+const navbarService = require("../services").NavbarService();
+const bookService = require("../services").BookService();
+
+const router = express.Router();
+
+router.get("/", secured, async function (req, res, next) {
+  const { id } = req.query;
+  const flight = await bookService.getFlightById(req.user.name, id);
+  if (!flight) {
+    return res.redirect("/booked");
+  }
+  const { legs, passengers, passengerDetails, total } = flight;
+  const vm = {
+    nav: navbarService.getData(req),
+    name: req.user.name,
+    id,
+    passengerDetails,
+    refund: bookService.getRefund(flight),
+    summary: { legs, passengers },
+    totals: { price: total, passengers },
+  };
+  res.render("cancel", vm);
+});
+
+router.post("/", secured, async function (req, res, next) {
+  const { id } = req.body;
+  await bookService.cancel(req.user.name, id);
+  await bookService.refund(req.user.name, id);
+  res.redirect("/booked");
+});
+
+module.exports = router;
@@ -0,0 +1,81 @@
+const createError = require("http-errors");
+const express = require("express");
+const moment = require("moment");
+
+const { encodeData, secured } = require("./helpers");
+const navbarService = require("../services").NavbarService();
+const flightsService = require("../services").FlightsService();
+const priceService = require("../services").PriceService();
+const bookService = require("../services").BookService();
+
+const router = express.Router();
+
+const differenceText = function (difference) {
+  if (difference > 0) return `+$${difference} to pay`;
+  if (difference < 0) return `$${-difference} back`;
+  return "No fare difference";
+};
+
+router.get("/", secured, async function (req, res, next) {
+  const { id } = req.query;
+  const index = Number(req.query.leg) || 0;
+  const travel = await bookService.getFlightById(req.user.name, id);
+  if (!travel || !travel.legs[index]) {
+    return res.redirect("/booked");
+  }
+  const leg = travel.legs[index];
+  const first = leg.segments[0];
+  const last = leg.segments[leg.segments.length - 1];
+  const date = req.query.date || first.date;
+  const flights = bookService.canChange(travel)
+    ? flightsService
+        .getFlights(first.fromCode, last.toCode, moment(date))
+        .map((f) =>
+          Object.assign(f, {
+            differenceText: differenceText(
+              priceService.getFareDifference(
+                leg.price,
+                f.price,
+                travel.passengers
+              )
+            ),
+          })
+        )
+    : [];
+
+  const vm = {
+    nav: navbarService.getData(req),
+    id,
+    leg: index,
+    date,
+    changeable: bookService.canChange(travel),
+    current: leg,
+    fromCity: first.fromCity,
+    toCity: last.toCity,
+    flights: { name: "flight", list: flights },
+  };
+  res.render("change", vm);
+});
+
+router.post("/", secured, async function (req, res, next) {
+  const { id, date } = req.body;
+  const index = Number(req.body.leg) || 0;
+  const travel = await bookService.getFlightById(req.user.name, id);
+  if (!travel || !travel.legs[index]) {
+    return next(createError(404, "Booking not found"));
+  }
+  const segments = travel.legs[index].segments;
+  const flight = flightsService.getFlightById(
+    segments[0].fromCode,
+    segments[segments.length - 1].toCode,
+    moment(date),
+    req.body.flight
+  );
+  if (!flight) {
+    return next(createError(400, "A flight must be selected"));
+  }
+  await bookService.changeLeg(req.user.name, id, index, flight);
+  res.redirect("/book/receipt?" + encodeData({ id }));
+});
+
+module.exports = router;
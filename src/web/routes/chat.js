@@ -1,15 +1,137 @@
 const express = require('express');
 const router = express.Router();
-const ChatService = require('../services/chat.service');
+const chatConfig = require('../config/chat.config');
+const { describe } = require('../config/openapi.config');
+const { limit } = require('../config/rate.limit.config');
 
 // Initialize chat service
-const chatService = new ChatService();
+const chatService = require('../services').ChatService();
+
+// Every message costs tokens of the chat completions API
+const chatLimit = limit('chat', { enabled: chatConfig.features.rateLimiting });
+
+// Chat errors tell whether the request succeeded, like its responses
+const errorSchema = {
+    type: 'object',
+    properties: {
+        success: { type: 'boolean', example: false },
+        error: { type: 'string' },
+        errors: { type: 'array', items: { type: 'string' } }
+    }
+};
+
+const sessionId = { type: 'string', description: 'Conversation the message belongs to' };
+
+// Conversations of logged in users can hold their bookings, other users are
+// told they don't exist
+const ownsConversation = (req, sessionId) => chatService.ownsConversation(sessionId, req.user && req.user.name);
+const conversationNotFound = (res) => res.status(404).json({
+    success: false,
+    error: 'Conversation not found'
+});
+const conversationNotFoundResponse = { description: 'The conversation belongs to another user' };
+
+const conversationStats = {
+    type: 'object',
+    properties: {
+        totalMessages: { type: 'integer' },
+        userMessages: { type: 'integer' },
+        assistantMessages: { type: 'integer' },
+        toolCalls: { type: 'integer', description: 'Tools the assistant called' },
+        sessionId
+    }
+};
+
+const chatMessage = {
+    type: 'object',
+    properties: {
+        role: { enum: ['user', 'assistant', 'tool'] },
+        content: { type: ['string', 'null'] },
+        tool_calls: {
+            type: 'array',
+            description: 'Tools the assistant called, their results follow in tool messages',
+            items: {
+                type: 'object',
+                properties: {
+                    id: { type: 'string' },
+                    type: { type: 'string' },
+                    function: {
+                        type: 'object',
+                        properties: { name: { type: 'string' }, arguments: { type: 'string' } }
+                    }
+                }
+            }
+        },
+        tool_call_id: { type: 'string', description: 'Tool call a tool message answers' }
+    }
+};
+
+const proposal = {
+    type: 'object',
+    description: 'Trip the assistant proposes to hold, once the user confirms it',
+    properties: {
+        id: { type: 'string' },
+        tripType: { type: 'string' },
+        passengers: { type: 'integer' },
+        legs: {
+            type: 'array',
+            items: {
+                type: 'object',
+                properties: {
+                    flight: { type: 'string' },
+                    fromCode: { type: 'string' },
+                    toCode: { type: 'string' },
+                    departDate: { type: 'string' },
+                    departTime: { type: 'string' },
+                    price: { type: 'number' }
+                }
+            }
+        },
+        total: { type: 'number' },
+        expiresAt: { type: 'string', format: 'date-time' }
+    }
+};
+
+const messageRequest = {
+    type: 'object',
+    properties: {
+        message: { type: 'string', minLength: 1 },
+        sessionId,
+        context: { enum: Object.keys(chatConfig.systemPrompts), default: 'travel' },
+        userInfo: { type: 'object', description: 'What the assistant may know about the user' }
+    },
+    required: ['message']
+};
 
 /**
  * POST /api/chat/message
  * Process a chat message and return AI response
  */
-router.post('/message', async (req, res) => {
+router.post('/message', chatLimit, describe({
+    summary: 'Send a message to the assistant',
+    tags: ['Chat'],
+    body: messageRequest,
+    responses: {
+        200: {
+            description: 'Answer of the assistant',
+            schema: {
+                type: 'object',
+                properties: {
+                    success: { type: 'boolean' },
+                    response: { type: 'string' },
+                    proposals: { type: 'array', items: proposal },
+                    sessionId,
+                    usage: { type: 'object' },
+                    model: { type: 'string' },
+                    conversationStats
+                }
+            }
+        },
+        404: conversationNotFoundResponse,
+        429: { description: 'Too many messages, retry after Retry-After seconds' },
+        500: { description: 'The assistant could not answer' }
+    }
+}), async (req, res) => {
     try {
         const { message, sessionId, context, userInfo } = req.body;
 
@@ -23,11 +145,15 @@ router.post('/message', async (req, res) => {
 
         // Generate session ID if not provided
         const actualSessionId = sessionId || `session_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+        if (!ownsConversation(req, actualSessionId)) {
+            return conversationNotFound(res);
+        }
 
         // Process the message
         const response = await chatService.processMessage(message, actualSessionId, {
             context: context || 'travel',
-            userInfo: userInfo || {}
+            userInfo: userInfo || {},
+            username: req.user && req.user.name
         });
 
         if (!response.success) {
@@ -38,6 +164,7 @@ router.post('/message', async (req, res) => {
         res.json({
             success: true,
             response: response.message,
+            proposals: response.proposals,
             sessionId: actualSessionId,
             usage: response.usage,
             model: response.model,
@@ -53,13 +180,203 @@ router.post('/message', async (req, res) => {
     }
 });
 
+/**
+ * POST /api/chat/stream
+ * Stream the AI response as server-sent events while it is generated
+ */
+router.post('/stream', chatLimit, describe({
+    summary: 'Send a message and stream the answer',
+    description: 'Answers server-sent events: delta with each piece of the answer as it is generated, tool with the name of each tool the assistant calls, proposal with each trip it proposes to hold, then done with the whole answer, or error. Closing the connection cancels the generation.',
+    tags: ['Chat'],
+    body: messageRequest,
+    responses: {
+        200: {
+            description: 'Events of the answer',
+            contentType: 'text/event-stream',
+            schema: {
+                type: 'string',
+                example: 'event: delta\ndata: {"content":"Hello"}\n\nevent: done\ndata: {"success":true,"response":"Hello","cancelled":false}\n\n'
+            }
+        },
+        404: conversationNotFoundResponse,
+        429: { description: 'Too many messages, retry after Retry-After seconds' }
+    }
+}), async (req, res) => {
+    const send = (event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+
+    try {
+        const { message, sessionId, context, userInfo } = req.body;
+        const actualSessionId = sessionId || `session_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+        if (!ownsConversation(req, actualSessionId)) {
+            return conversationNotFound(res);
+        }
+
+        res.set({
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache',
+            // Proxies must not hold the events back
+            'X-Accel-Buffering': 'no'
+        });
+        res.flushHeaders();
+
+        // Stop generating once the browser goes away
+        const disconnected = new AbortController();
+        res.on('close', () => {
+            if (!res.writableEnded) {
+                disconnected.abort();
+            }
+        });
+
+        const response = await chatService.streamMessage(message, actualSessionId, {
+            context: context || 'travel',
+            userInfo: userInfo || {},
+            username: req.user && req.user.name,
+            signal: disconnected.signal,
+            onDelta: (content) => send('delta', { content }),
+            onToolCall: (toolCall) => send('tool', { name: toolCall.function.name }),
+            onProposal: (proposal) => send('proposal', proposal)
+        });
+        if (disconnected.signal.aborted) {
+            return;
+        }
+
+        if (response.success) {
+            send('done', {
+                success: true,
+                response: response.message,
+                cancelled: response.cancelled,
+                sessionId: actualSessionId,
+                usage: response.usage,
+                model: response.model,
+                conversationStats: chatService.getConversationStats(actualSessionId)
+            });
+        } else {
+            send('error', { success: false, error: response.error });
+        }
+        res.end();
+    } catch (error) {
+        console.error('Chat stream error:', error);
+        if (!res.headersSent) {
+            return res.status(500).json({
+                success: false,
+                error: 'Internal server error processing chat message'
+            });
+        }
+        // The events have started, so the failure is told as one of them
+        if (!res.writableEnded) {
+            send('error', { success: false, error: 'Internal server error processing chat message' });
+            res.end();
+        }
+    }
+});
+
+/**
+ * DELETE /api/chat/stream/:sessionId
+ * Cancel the response being streamed for a session
+ */
+router.delete('/stream/:sessionId', describe({
+    summary: 'Cancel the answer being streamed',
+    description: 'The stream ends with done, cancelled and the part of the answer generated so far, which is kept in the conversation.',
+    tags: ['Chat'],
+    params: { sessionId },
+    responses: {
+        200: {
+            description: 'Whether an answer was being streamed',
+            schema: {
+                type: 'object',
+                properties: {
+                    success: { type: 'boolean' },
+                    cancelled: { type: 'boolean' }
+                }
+            }
+        },
+        404: conversationNotFoundResponse
+    }
+}), (req, res) => {
+    if (!ownsConversation(req, req.params.sessionId)) {
+        return conversationNotFound(res);
+    }
+    res.json({
+        success: true,
+        cancelled: chatService.cancelGeneration(req.params.sessionId)
+    });
+});
+
+/**
+ * POST /api/chat/proposals/:id/confirm
+ * Hold the trip the assistant proposed, once the user confirms it
+ */
+router.post('/proposals/:id/confirm', describe({
+    summary: 'Confirm a trip proposed by the assistant',
+    description: 'Holds the trip for the logged in user, replacing the trip held before. The assistant can only propose trips, they are held when the user confirms them and purchased on the website.',
+    tags: ['Chat'],
+    params: { id: { type: 'string', description: 'id of the proposal' } },
+    responses: {
+        200: {
+            description: 'Held trip',
+            schema: {
+                type: 'object',
+                properties: {
+                    success: { type: 'boolean' },
+                    bookingId: { type: 'string', description: 'Record locator of the held trip' },
+                    link: { type: 'string', description: 'Page to purchase it', example: '/book/purchase' }
+                }
+            }
+        },
+        401: { description: 'Not logged in' },
+        404: { description: 'No such proposal for the user, or it expired' }
+    }
+}), async (req, res) => {
+    if (!req.isAuthenticated()) {
+        return res.status(401).json({
+            success: false,
+            error: 'Log in to book this trip'
+        });
+    }
+
+    const bookingId = await chatService.confirmProposal(req.params.id, req.user.name);
+    if (!bookingId) {
+        return res.status(404).json({
+            success: false,
+            error: 'This trip is no longer available, please ask the assistant again'
+        });
+    }
+
+    res.json({
+        success: true,
+        bookingId,
+        link: '/book/purchase'
+    });
+});
+
 /**
  * GET /api/chat/conversation/:sessionId
  * Get conversation history for a session
  */
-router.get('/conversation/:sessionId', (req, res) => {
+router.get('/conversation/:sessionId', describe({
+    summary: 'Messages of a conversation',
+    tags: ['Chat'],
+    params: { sessionId },
+    responses: {
+        200: {
+            description: 'Conversation',
+            schema: {
+                type: 'object',
+                properties: {
+                    success: { type: 'boolean' },
+                    history: { type: 'array', items: chatMessage },
+                    stats: conversationStats
+                }
+            }
+        },
+        404: conversationNotFoundResponse
+    }
+}), (req, res) => {
     try {
         const { sessionId } = req.params;
+        if (!ownsConversation(req, sessionId)) {
+            return conversationNotFound(res);
+        }
         const history = chatService.getConversationHistory(sessionId);
         const stats = chatService.getConversationStats(sessionId);
 
@@ -81,9 +398,29 @@ router.get('/conversation/:sessionId', (req, res) => {
  * DELETE /api/chat/conversation/:sessionId
  * Clear conversation history for a session
  */
-router.delete('/conversation/:sessionId', (req, res) => {
+router.delete('/conversation/:sessionId', describe({
+    summary: 'Forget a conversation',
+    tags: ['Chat'],
+    params: { sessionId },
+    responses: {
+        200: {
+            description: 'Conversation cleared',
+            schema: {
+                type: 'object',
+                properties: {
+                    success: { type: 'boolean' },
+                    message: { type: 'string' }
+                }
+            }
+        },
+        404: conversationNotFoundResponse
+    }
+}), (req, res) => {
     try {
         const { sessionId } = req.params;
+        if (!ownsConversation(req, sessionId)) {
+            return conversationNotFound(res);
+        }
         chatService.clearConversation(sessionId);
 
         res.json({
@@ -103,7 +440,21 @@ router.delete('/conversation/:sessionId', (req, res) => {
  * POST /api/chat/test
  * Test endpoint to verify chat service functionality
  */
-router.post('/test', async (req, res) => {
+router.post('/test', chatLimit, describe({
+    summary: 'Try the chat service',
+    tags: ['Chat'],
+    body: {
+        type: 'object',
+        properties: {
+            message: { type: 'string', default: 'Hello, I need help with booking a flight' }
+        }
+    },
+    responses: {
+        200: { description: 'What the chat service answered', schema: { type: 'object' } },
+        429: { description: 'Too many messages, retry after Retry-After seconds' },
+        500: { description: 'The chat service failed' }
+    }
+}), async (req, res) => {
     try {
         const testMessage = req.body.message || "Hello, I need help with booking a flight";
         const testSessionId = `test_${Date.now()}`;
@@ -134,7 +485,26 @@ router.post('/test', async (req, res) => {
  * GET /api/chat/health
  * Health check endpoint for chat service
  */
-router.get('/health', (req, res) => {
+router.get('/health', describe({
+    summary: 'Health of the chat service',
+    tags: ['Chat'],
+    responses: {
+        200: {
+            description: 'Chat service settings',
+            schema: {
+                type: 'object',
+                properties: {
+                    success: { type: 'boolean' },
+                    service: { type: 'string' },
+                    status: { type: 'string' },
+                    timestamp: { type: 'string', format: 'date-time' },
+                    endpoint: { type: 'string' },
+                    model: { type: 'string' }
+                }
+            }
+        }
+    }
+}), (req, res) => {
     res.json({
         success: true,
         service: 'Chat API',
@@ -145,4 +515,15 @@ router.get('/health', (req, res) => {
     });
 });
 
+// Requests that don't match their schema are answered like other chat errors
+router.use((err, req, res, next) => {
+    res.status(err.status || 500).json({
+        success: false,
+        error: err.message,
+        errors: err.errors
+    });
+});
+
+router.errorSchema = errorSchema;
+
 module.exports = router;
\ No newline at end of file
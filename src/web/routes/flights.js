@@ -1,91 +1,126 @@
+const createError = require("http-errors");
 const express = require("express");
 const moment = require("moment");
 
-const { secured } = require("./helpers");
+const {
+  encodeData,
+  encodeLegs,
+  parseLegs,
+  toArray,
+  secured,
+} = require("./helpers");
 const navbarService = require("../services").NavbarService();
 const dateService = require("../services").DateService();
 const flightsService = require("../services").FlightsService();
 const airportsService = require("../services").AirportsService();
 const bookService = require("../services").BookService();
+const flightFiltersService = require("../services").FlightFiltersService();
+const { tripTypes } = require("../services/book.form.service");
 
 const router = express.Router();
-const fromFlightPicker = "fromFlight";
-const toFlightPicker = "toFlight";
+const flightPicker = (index) => `leg${index}Flight`;
+const filterPrefix = (index) => `leg${index}`;
 
-router.get("/", secured, function (req, res, next) {
-  const { fromCode, toCode, dpa, dpb, passengers } = req.query;
+const legTitle = function (tripType, index) {
+  if (tripType == tripTypes.multiCity) return `Select flight ${index + 1}`;
+  return index == 0 ? "Select departing flight" : "Select return flight";
+};
 
-  const departureDate = moment(dpa);
-  const returnDate = moment(dpb);
-  const departureFlights = flightsService.getFlights(
-    fromCode,
-    toCode,
-    departureDate
-  );
-  const returningFlights = flightsService.getFlights(
-    toCode,
-    fromCode,
-    returnDate
-  );
-  const departureSlider = dateService.getDaysSequence(
-    departureDate,
-    Math.min(...departureFlights.map((f) => f.price)),
-    8
+router.get("/", secured, function (req, res, next) {
+  const { tripType, passengers } = req.query;
+  const legs = parseLegs(req.query);
+  if (!legs.length) {
+    return res.redirect("/book");
+  }
+  // Every leg is filtered on its own, by the fields of its prefix
+  const filters = legs.map((leg, index) =>
+    flightFiltersService.getFilters(req.query, filterPrefix(index))
   );
-  const returningSlider = dateService.getDaysSequence(
-    returnDate,
-    Math.min(...returningFlights.map((f) => f.price)),
-    8
+  const filterQuery = Object.assign(
+    {},
+    ...filters.map((f, index) =>
+      flightFiltersService.getQuery(f, filterPrefix(index))
+    )
   );
+  const search = Object.assign({ tripType, passengers }, encodeLegs(legs));
+
+  // Every slider day links to the same search and filters with only that leg moved
+  const dayUrl = (index, date) =>
+    "/book/flights?" +
+    encodeData(
+      Object.assign(
+        { tripType, passengers },
+        encodeLegs(
+          legs.map((l, i) => (i == index ? Object.assign({}, l, { date }) : l))
+        ),
+        filterQuery
+      )
+    );
 
   const vm = {
     nav: navbarService.getData(req),
-    departure: {
-      name: airportsService.getByCode(fromCode).city,
-      days: departureSlider,
-      flights: {
-        name: fromFlightPicker,
-        list: departureFlights,
-      },
-    },
-    returning: {
-      name: airportsService.getByCode(toCode).city,
-      days: returningSlider,
-      flights: {
-        name: toFlightPicker,
-        list: returningFlights,
-      },
+    filters: {
+      search: Object.keys(search).flatMap((name) =>
+        toArray(search[name]).map((value) => ({ name, value }))
+      ),
     },
-    query: { fromCode, toCode, dpa, dpb, passengers },
+    legs: legs.map((leg, index) => {
+      const date = moment(leg.date);
+      const unfiltered = flightsService.getFlights(
+        leg.fromCode,
+        leg.toCode,
+        date
+      );
+      const flights = flightsService.getFlights(
+        leg.fromCode,
+        leg.toCode,
+        date,
+        filters[index]
+      );
+      // Keep the slider prices meaningful when the filters leave no results
+      const priced = flights.length ? flights : unfiltered;
+      const days = dateService
+        .getDaysSequence(date, Math.min(...priced.map((f) => f.price)), 8)
+        .map((day) => Object.assign(day, { url: dayUrl(index, day.date) }));
+      return Object.assign({}, leg, {
+        title: legTitle(tripType, index),
+        fromName: airportsService.getByCode(leg.fromCode).city,
+        toName: airportsService.getByCode(leg.toCode).city,
+        days,
+        filters: flightFiltersService.getForm(
+          filters[index],
+          flightsService.getConnections(unfiltered),
+          filterPrefix(index)
+        ),
+        flights: {
+          name: flightPicker(index),
+          list: flights,
+        },
+      });
+    }),
+    query: { tripType, passengers },
   };
 
   res.render("flights", vm);
 });
 
 router.post("/", secured, async function (req, res, next) {
-  const { passengers, fromCode, toCode, dpa, dpb } = req.body;
-  const depFlight = req.body[fromFlightPicker];
-  const retFlight = req.body[toFlightPicker];
+  const { passengers, tripType } = req.body;
+  const legs = parseLegs(req.body);
 
-  const partingFlight = flightsService.getFlightById(
-    fromCode,
-    toCode,
-    moment(dpa),
-    depFlight
-  );
-  const returningFlight = flightsService.getFlightById(
-    toCode,
-    fromCode,
-    moment(dpb),
-    retFlight
-  );
-  await bookService.bookFlight(
-    req.user.name,
-    partingFlight,
-    returningFlight,
-    passengers
+  const flights = legs.map((leg, index) =>
+    flightsService.getFlightById(
+      leg.fromCode,
+      leg.toCode,
+      moment(leg.date),
+      req.body[flightPicker(index)]
+    )
   );
-  res.redirect("/book/purchase");
+  if (flights.some((f) => !f)) {
+    return next(createError(400, "A flight must be selected for every leg"));
+  }
+  await bookService.bookFlight(req.user.name, flights, passengers, tripType);
+  res.redirect("/book/passengers");
 });
 
 module.exports = router;
@@ -1,13 +1,42 @@
+const createError = require("http-errors");
 const passport = require("passport");
 
 const encodeData = function (data) {
   return Object.keys(data)
+    .filter((key) => data[key] !== undefined && data[key] !== null)
     .map(function (key) {
-      return [key, data[key]].map(encodeURIComponent).join("=");
+      const values = Array.isArray(data[key]) ? data[key] : [data[key]];
+      return values
+        .map((value) => [key, value].map(encodeURIComponent).join("="))
+        .join("&");
     })
     .join("&");
 };
 
+const toArray = function (value) {
+  if (value === undefined || value === null) return [];
+  return Array.isArray(value) ? value : [value];
+};
+
+// Legs travel through query strings and forms as parallel lists of
+// fromCode, toCode and date values, one entry per leg.
+const parseLegs = function (data) {
+  const fromCodes = toArray(data.fromCode);
+  const toCodes = toArray(data.toCode);
+  const dates = toArray(data.date);
+  return fromCodes
+    .map((fromCode, i) => ({ fromCode, toCode: toCodes[i], date: dates[i] }))
+    .filter((leg) => leg.fromCode && leg.toCode && leg.date);
+};
+
+const encodeLegs = function (legs) {
+  return {
+    fromCode: legs.map((l) => l.fromCode),
+    toCode: legs.map((l) => l.toCode),
+    date: legs.map((l) => l.date),
+  };
+};
+
 const secured = function (req, res, next) {
   if (req.isAuthenticated()) {
     return next();
@@ -16,7 +45,91 @@ const secured = function (req, res, next) {
   return res.redirect("/login");
 };
 
+// Lets logged in users with one of the roles through
+const requireRole = function (...roles) {
+  return function (req, res, next) {
+    if (!req.isAuthenticated()) {
+      return res.redirect("/login");
+    }
+    if (!roles.includes(req.user.role)) {
+      return next(createError(403, "You are not allowed to see this page"));
+    }
+    next();
+  };
+};
+
+const hasBearerToken = (req) =>
+  /^Bearer /i.test(req.get("authorization") || "");
+
+// JSON routes take an access token with every scope listed, sent as a bearer
+// token, or the session of a logged in user, who may do everything
+const requireScopes = function (...scopes) {
+  return function (req, res, next) {
+    if (!hasBearerToken(req)) {
+      if (req.isAuthenticated()) return next();
+      return next(createError(401, "You need to log in"));
+    }
+    passport.authenticate(
+      "bearer",
+      { session: false },
+      function (err, user, info) {
+        if (err) return next(err);
+        if (!user) {
+          res.set("WWW-Authenticate", 'Bearer error="invalid_token"');
+          return next(createError(401, "The access token is not valid"));
+        }
+        const missing = scopes.filter((s) => !info.scopes.includes(s));
+        if (missing.length) {
+          res.set(
+            "WWW-Authenticate",
+            `Bearer error="insufficient_scope", scope="${scopes.join(" ")}"`
+          );
+          return next(
+            createError(403, `The access token lacks ${missing.join(" ")}`)
+          );
+        }
+        req.user = user;
+        req.authInfo = info;
+        next();
+      }
+    )(req, res, next);
+  };
+};
+
+// Answers 503 when the service behind a feature could not be built, like
+// accounts without anywhere to store them
+const available = function (service, feature) {
+  return function (req, res, next) {
+    if (!service) {
+      return next(createError(503, `${feature} not available`));
+    }
+    next();
+  };
+};
+
+// Errors of the JSON API are sent in an envelope instead of the error page.
+// Unexpected errors don't tell what went wrong.
+const apiErrors = function (err, req, res, next) {
+  const status = err.status || err.statusCode || 500;
+  const error = {
+    status,
+    message: createError.isHttpError(err)
+      ? err.message
+      : "Something went wrong, please try again later",
+  };
+  if (err.errors) error.errors = err.errors;
+  if (status >= 500) console.error(err);
+  res.status(status).json({ error });
+};
+
 module.exports = {
   encodeData,
+  toArray,
+  parseLegs,
+  encodeLegs,
   secured,
+  requireRole,
+  requireScopes,
+  available,
+  apiErrors,
 };
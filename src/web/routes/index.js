@@ -1,20 +1,38 @@
 const router = require("express").Router();
 
 const flightsRouter = require("./flights");
+const passengersRouter = require("./passengers");
+const seatsRouter = require("./seats");
 const purchaseRouter = require("./purchase");
 const receiptRouter = require("./receipt");
 const bookRouter = require("./book");
+const cancelRouter = require("./cancel");
+const changeRouter = require("./change");
 const bookedRouter = require("./booked");
+const manageRouter = require("./manage");
+const adminRouter = require("./admin");
 const authRouter = require("./auth");
+const oidcRouter = require("./oidc");
+const registerRouter = require("./register");
+const resetRouter = require("./reset");
 const homeRouter = require("./home");
 
 router.use("/book/flights", flightsRouter);
+router.use("/book/passengers", passengersRouter);
+router.use("/book/seats", seatsRouter);
 router.use("/book/purchase", purchaseRouter);
 router.use("/book/receipt", receiptRouter);
 router.use("/book", bookRouter);
+router.use("/booked/cancel", cancelRouter);
+router.use("/booked/change", changeRouter);
 router.use("/booked", bookedRouter);
+router.use("/manage", manageRouter);
+router.use("/admin", adminRouter);
+router.use("/login/oidc", oidcRouter);
 router.use("/login", authRouter);
 router.use("/logout", authRouter);
+router.use("/register", registerRouter);
+router.use("/reset", resetRouter);
 router.use("/", homeRouter);
 
 module.exports = router;
@@ -0,0 +1,43 @@
+const express = require("express");
+
+const { limit } = require("../config/rate.limit.config");
+const navbarService = require("../services").NavbarService();
+const bookService = require("../services").BookService();
+
+const router = express.Router();
+
+// Anyone with the locator and a passenger last name can see the trip, so it
+// is not tied to the logged in user
+router.get("/", function (req, res, next) {
+  res.render("manage", { nav: navbarService.getData(req) });
+});
+
+router.post("/", limit("manage"), async function (req, res, next) {
+  const { lastName, locator } = req.body;
+  const flight = await bookService.findByLocator(lastName, locator);
+  const vm = {
+    nav: navbarService.getData(req),
+    lastName,
+    locator,
+  };
+  if (!flight) {
+    res.status(404);
+    vm.error =
+      "We couldn't find a trip with that booking reference and last name.";
+    return res.render("manage", vm);
+  }
+
+  const { legs, passengers, passengerDetails, total } = flight;
+  Object.assign(vm, {
+    trip: {
+      id: flight.id,
+      status: flight.status,
+      passengerDetails,
+      summary: { legs, passengers },
+      totals: { price: total, passengers },
+    },
+  });
+  res.render("manage", vm);
+});
+
+module.exports = router;
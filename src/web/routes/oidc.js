@@ -0,0 +1,27 @@
+const express = require("express");
+const passport = require("passport");
+
+const { available } = require("./helpers");
+const oidc = require("../config/oidc.config");
+
+const router = express.Router();
+
+const companyLogin = available(oidc.getSettings(), "Company logins");
+
+// Both requests go through the strategy, it sends users to their identity
+// provider and logs them in when they come back with a code
+const authenticate = async function (req, res, next) {
+  if (!(await oidc.ready())) {
+    return res.redirect("/login");
+  }
+  passport.authenticate(oidc.strategyName, {
+    successRedirect: "/",
+    failureRedirect: "/login",
+    failureFlash: "Login.Error.Company",
+  })(req, res, next);
+};
+
+router.get("/", companyLogin, authenticate);
+router.get("/callback", companyLogin, authenticate);
+
+module.exports = router;
@@ -0,0 +1,47 @@
+const express = require("express");
+const swaggerUi = require("swagger-ui-dist");
+
+const { getDocument } = require("../config/openapi.config");
+const apiRouter = require("./api");
+const chatRouter = require("./chat");
+
+const router = express.Router();
+
+// Built once, from the routes described when they were defined
+let document = null;
+const getApiDocument = function () {
+  if (!document) {
+    document = getDocument(
+      {
+        title: "Contoso Air API",
+        version: "1.0.0",
+        description:
+          "Flights, bookings and the travel assistant of Contoso Air. Clients send access tokens from /api/v1/token as bearer tokens. Browsers may use their session instead, sending its CSRF token in the X-CSRF-Token header with requests that change something.",
+      },
+      [
+        { path: "/api/v1", router: apiRouter },
+        {
+          path: "/api/chat",
+          router: chatRouter,
+          error: chatRouter.errorSchema,
+        },
+      ]
+    );
+  }
+  return document;
+};
+
+router.get("/openapi.json", function (req, res) {
+  res.json(getApiDocument());
+});
+
+router.get("/docs", function (req, res) {
+  res.render("api-docs", { layout: false });
+});
+
+router.use(
+  "/docs",
+  express.static(swaggerUi.getAbsoluteFSPath(), { index: false })
+);
+
+module.exports = router;
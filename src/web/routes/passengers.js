@@ -0,0 +1,49 @@
+const express = require("express");
+
+const { secured } = require("./helpers");
+const navbarService = require("../services").NavbarService();
+const bookService = require("../services").BookService();
+const passengerDetailsService =
+  require("../services").PassengerDetailsService();
+
+const router = express.Router();
+
+const passengersViewModel = function (req, booked, details, errors) {
+  return {
+    nav: navbarService.getData(req),
+    errors,
+    passengers: passengerDetailsService.getForm(
+      booked.passengers,
+      details || booked.passengerDetails
+    ),
+  };
+};
+
+router.get("/", secured, async function (req, res, next) {
+  const booked = await bookService.getBooked(req.user.name);
+  if (!booked) {
+    return res.redirect("/book");
+  }
+  res.render("passengers", passengersViewModel(req, booked));
+});
+
+router.post("/", secured, async function (req, res, next) {
+  const details = req.body.passengers || [];
+  try {
+    const id = await bookService.savePassengerDetails(req.user.name, details);
+    if (!id) {
+      return res.redirect("/book");
+    }
+  } catch (error) {
+    if (error.status != 400) throw error;
+    const booked = await bookService.getBooked(req.user.name);
+    res.status(error.status);
+    return res.render(
+      "passengers",
+      passengersViewModel(req, booked, details, error.errors)
+    );
+  }
+  res.redirect("/book/seats");
+});
+
+module.exports = router;
@@ -1,3 +1,4 @@
+const createError = require("http-errors");
 const express = require("express");
 
 const { encodeData, secured } = require("./helpers");
@@ -8,22 +9,34 @@ const router = express.Router();
 
 router.get("/", secured, async function (req, res, next) {
   const booked = await bookService.getBooked(req.user.name);
-  const { parting, returning } = booked;
-  const price = (parting.price + returning.price) * booked.passengers;
+  if (!booked) {
+    return res.redirect("/book");
+  }
+  if (booked.passengerDetails.length != booked.passengers) {
+    return res.redirect("/book/passengers");
+  }
+  const seated = booked.legs.every((leg) =>
+    leg.segments.every((segment) => segment.seats.length)
+  );
+  if (!seated) {
+    return res.redirect("/book/seats");
+  }
   const vm = {
     nav: navbarService.getData(req),
     name: req.user.name,
-    summary: {
-      parting,
-      returning,
-    },
-    totals: { price, passengers: booked.passengers },
+    expiresAt: booked.expiresAt,
+    passengerDetails: booked.passengerDetails,
+    summary: { legs: booked.legs, passengers: booked.passengers },
+    totals: { price: booked.total, passengers: booked.passengers },
   };
   res.render("purchase", vm);
 });
 
 router.post("/", secured, async function (req, res, next) {
   const id = await bookService.purchase(req.user.name);
+  if (!id) {
+    return next(createError(404, "There is no booking to purchase"));
+  }
   res.redirect("/book/receipt?" + encodeData({ id }));
 });
 
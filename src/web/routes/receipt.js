@@ -3,26 +3,34 @@ const express = require("express");
 const { secured } = require("./helpers");
 const navbarService = require("../services").NavbarService();
 const bookService = require("../services").BookService();
+const { tripTypes } = require("../services/book.form.service");
 
 const router = express.Router();
 
 router.get("/", secured, async function (req, res, next) {
   const { id } = req.query;
   const flight = await bookService.getFlightById(req.user.name, id);
-  const { parting, returning, passengers } = flight;
-  const price = (parting.price + returning.price) * passengers;
+  if (!flight) {
+    return res.redirect("/booked");
+  }
+  const { legs, passengers, passengerDetails, total, tripType } = flight;
+  const firstSegment = legs[0].segments[0];
+  // A round trip ends where it started, so show its outbound destination
+  const lastLeg =
+    tripType == tripTypes.roundTrip ? legs[0] : legs[legs.length - 1];
+  const lastSegment = lastLeg.segments[lastLeg.segments.length - 1];
   const vm = {
     nav: navbarService.getData(req),
     name: req.user.name,
-    fromCity: parting.segments[0].fromCity,
-    fromCode: parting.segments[0].fromCode,
-    toCity: returning.segments[0].fromCity,
-    toCode: returning.segments[0].fromCode,
-    summary: {
-      parting,
-      returning,
-    },
-    totals: { price, passengers },
+    id,
+    cancellable: !!bookService.getRefund(flight),
+    passengerDetails,
+    fromCity: firstSegment.fromCity,
+    fromCode: firstSegment.fromCode,
+    toCity: lastSegment.toCity,
+    toCode: lastSegment.toCode,
+    summary: { legs, passengers },
+    totals: { price: total, passengers },
   };
   res.render("receipt", vm);
 });
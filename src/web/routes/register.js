@@ -0,0 +1,39 @@
+const express = require("express");
+
+const { available } = require("./helpers");
+const navbarService = require("../services").NavbarService();
+const accountService = require("../services").AccountService();
+
+const router = express.Router();
+
+const accounts = available(accountService, "Accounts");
+
+router.get("/", accounts, function (req, res, next) {
+  res.render("register", { nav: navbarService.getData(req) });
+});
+
+router.post("/", accounts, async function (req, res, next) {
+  const { username, email } = req.body;
+  let account;
+  try {
+    account = await accountService.register(req.body);
+  } catch (error) {
+    if (error.status != 400 && error.status != 409) throw error;
+    res.status(error.status);
+    return res.render("register", {
+      nav: navbarService.getData(req),
+      errors: error.errors,
+      username,
+      email,
+    });
+  }
+
+  req.login(account, (err) => {
+    if (err) {
+      return next(err);
+    }
+    res.redirect("/");
+  });
+});
+
+module.exports = router;
@@ -0,0 +1,48 @@
+const express = require("express");
+
+const { available } = require("./helpers");
+const navbarService = require("../services").NavbarService();
+const accountService = require("../services").AccountService();
+
+const router = express.Router();
+
+const accounts = available(accountService, "Accounts");
+
+// Reset links point to PUBLIC_URL when set, the Host header can't be trusted
+const baseUrl = (req) =>
+  process.env.PUBLIC_URL || `${req.protocol}://${req.get("host")}`;
+
+router.get("/", accounts, function (req, res, next) {
+  res.render("reset", { nav: navbarService.getData(req) });
+});
+
+router.post("/", accounts, async function (req, res, next) {
+  await accountService.requestPasswordReset(req.body.email, baseUrl(req));
+  res.render("reset", { nav: navbarService.getData(req), sent: true });
+});
+
+router.get("/password", accounts, function (req, res, next) {
+  res.render("reset", {
+    nav: navbarService.getData(req),
+    token: req.query.token,
+  });
+});
+
+router.post("/password", accounts, async function (req, res, next) {
+  const { token, password, confirm } = req.body;
+  try {
+    await accountService.resetPassword(token, password, confirm);
+  } catch (error) {
+    if (error.status != 400) throw error;
+    res.status(error.status);
+    return res.render("reset", {
+      nav: navbarService.getData(req),
+      token,
+      errors: error.errors,
+    });
+  }
+  req.flash("info", "Login.PasswordReset");
+  res.redirect("/login");
+});
+
+module.exports = router;
@@ -0,0 +1,77 @@
+const express = require("express");
+
+const { secured } = require("./helpers");
+const navbarService = require("../services").NavbarService();
+const bookService = require("../services").BookService();
+const seatMapService = require("../services").SeatMapService();
+
+const router = express.Router();
+
+const seatsViewModel = async function (req, booked, chosen, error) {
+  const legs = [];
+  for (const [l, leg] of booked.legs.entries()) {
+    const segments = [];
+    for (const [s, segment] of leg.segments.entries()) {
+      const seatMap = await seatMapService.getSeatMap(segment, segment.seats);
+      const selected =
+        ((chosen || [])[l] || [])[s] ||
+        (segment.seats.length
+          ? segment.seats
+          : seatMapService.suggestSeats(seatMap, booked.passengers));
+      const passengers = [];
+      for (let p = 0; p < booked.passengers; p++) {
+        const details = booked.passengerDetails[p];
+        passengers.push({
+          name: `seats[${l}][${s}][${p}]`,
+          label: details
+            ? `${details.firstName} ${details.lastName}`
+            : `Passenger ${p + 1}`,
+          options: seatMap.available.map((seat) => ({
+            seat,
+            selected: selected[p] == seat,
+          })),
+        });
+      }
+      segments.push(Object.assign({}, segment, { seatMap, passengers }));
+    }
+    legs.push({ fromCode: leg.fromCode, toCode: leg.toCode, segments });
+  }
+
+  return {
+    nav: navbarService.getData(req),
+    error,
+    legs,
+  };
+};
+
+router.get("/", secured, async function (req, res, next) {
+  const booked = await bookService.getBooked(req.user.name);
+  if (!booked) {
+    return res.redirect("/book");
+  }
+  if (booked.passengerDetails.length != booked.passengers) {
+    return res.redirect("/book/passengers");
+  }
+  res.render("seats", await seatsViewModel(req, booked));
+});
+
+router.post("/", secured, async function (req, res, next) {
+  const seats = req.body.seats || [];
+  try {
+    const id = await bookService.chooseSeats(req.user.name, seats);
+    if (!id) {
+      return res.redirect("/book");
+    }
+  } catch (error) {
+    if (error.status != 400 && error.status != 409) throw error;
+    const booked = await bookService.getBooked(req.user.name);
+    res.status(error.status);
+    return res.render(
+      "seats",
+      await seatsViewModel(req, booked, seats, error.message)
+    );
+  }
+  res.redirect("/book/purchase");
+});
+
+module.exports = router;
@@ -0,0 +1,344 @@
+const crypto = require("crypto");
+const { promisify } = require("util");
+const createError = require("http-errors");
+
+const scrypt = promisify(crypto.scrypt);
+
+// Passwords are hashed with scrypt, the parameters are kept with the hash so
+// they can be raised later without breaking existing accounts
+const kdf = { N: 16384, r: 8, p: 1, keyLength: 64, saltLength: 16 };
+
+const hashPassword = async function (password) {
+  const salt = crypto.randomBytes(kdf.saltLength);
+  const hash = await scrypt(password, salt, kdf.keyLength, kdf);
+  return ["scrypt", kdf.N, kdf.r, kdf.p, salt, hash]
+    .map((part) => (Buffer.isBuffer(part) ? part.toString("base64") : part))
+    .join("$");
+};
+
+// Accounts created from a company identity have no password
+const verifyPassword = async function (password, passwordHash) {
+  if (!passwordHash) return false;
+  const [name, N, r, p, salt, hash] = passwordHash.split("$");
+  if (name != "scrypt" || !hash) return false;
+  const expected = Buffer.from(hash, "base64");
+  const actual = await scrypt(
+    password,
+    Buffer.from(salt, "base64"),
+    expected.length,
+    { N: Number(N), r: Number(r), p: Number(p) }
+  );
+  return crypto.timingSafeEqual(actual, expected);
+};
+
+// Hashing something for unknown users too keeps them from being told apart
+// by how long the login takes
+let unknownUserHash = null;
+const getUnknownUserHash = function () {
+  if (!unknownUserHash) {
+    unknownUserHash = hashPassword(crypto.randomBytes(16).toString("hex"));
+  }
+  return unknownUserHash;
+};
+
+const hashToken = (token) =>
+  crypto.createHash("sha256").update(token).digest("hex");
+
+// Failed logins in a row before the account is locked, and for how long
+const maxFailedLogins = 5;
+const lockMinutes = 15;
+// How long a password reset link can be used
+const resetMinutes = 30;
+
+const namePattern = /^[A-Za-z0-9._-]{3,30}$/;
+const emailPattern = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const minPasswordLength = 8;
+const maxPasswordLength = 128;
+
+const roles = {
+  customer: "customer",
+  agent: "agent",
+  admin: "admin",
+};
+
+// Roles of the people working for us, who can act on behalf of customers
+const staffRoles = [roles.agent, roles.admin];
+
+// Keys of the messages shown on the login page
+const loginErrors = {
+  invalid: "Login.Error.InvalidCredentials",
+  locked: "Login.Error.Locked",
+};
+
+// Usernames made up for company identities, from whatever they tell about
+// the user. A few digits are added when the name is taken.
+const usernameAttempts = 5;
+
+const suggestUsername = function (username, email, attempt) {
+  const base = String(username || String(email).split("@")[0] || "")
+    .replace(/[^A-Za-z0-9._-]/g, "")
+    .slice(0, 24)
+    .padEnd(3, "0");
+  return attempt ? `${base}${crypto.randomInt(100000)}` : base;
+};
+
+const validatePassword = function (password, confirm, errors) {
+  if (
+    typeof password != "string" ||
+    password.length < minPasswordLength ||
+    password.length > maxPasswordLength
+  ) {
+    errors.push(
+      `Password must have between ${minPasswordLength} and ${maxPasswordLength} characters`
+    );
+  } else if (password != confirm) {
+    errors.push("Passwords don't match");
+  }
+};
+
+const addMinutes = (date, minutes) =>
+  new Date(date.getTime() + minutes * 60 * 1000);
+
+class AccountService {
+  constructor(accountsRepository, mail, admins = [], bookRepository = null) {
+    this._repo = accountsRepository;
+    this._mail = mail;
+    this._admins = admins;
+    this._bookings = bookRepository;
+  }
+
+  // What the rest of the app knows about a user. Configured admins are always
+  // admins, so there is someone to hand out the first roles.
+  _toUser(account) {
+    const role = this._admins.includes(account.name)
+      ? roles.admin
+      : account.role || roles.customer;
+    return { name: account.name, email: account.email, role };
+  }
+
+  // Configured admin names can't be taken by new accounts, or anyone could
+  // register as an admin. Their accounts are listed once they exist.
+  _isAdminName(name) {
+    return this._admins.some(
+      (admin) => admin.toLowerCase() == name.toLowerCase()
+    );
+  }
+
+  // Bookings belong to a bare username, so a new account can't take the name
+  // of someone who booked before accounts existed
+  async _isTaken(name) {
+    if (this._isAdminName(name)) return true;
+    if (!this._bookings) return false;
+    const userInfo = await this._bookings.getUserInfo(name);
+    return Boolean(userInfo.booked || (userInfo.purchased || []).length);
+  }
+
+  async setRole(name, role) {
+    if (!roles[role]) {
+      throw createError(400, `Unknown role ${role}`);
+    }
+    const account = await this._repo.findByName(name);
+    if (!account) {
+      throw createError(404, "Account not found");
+    }
+    await this._repo.update({ name, role });
+    return this._toUser(Object.assign(account, { role }));
+  }
+
+  async getByName(name) {
+    const account = await this._repo.findByName(name);
+    return account ? this._toUser(account) : null;
+  }
+
+  // Returns the new account or throws with every problem found in errors
+  async register({ username, email, password, confirm }) {
+    const name = String(username || "").trim();
+    const address = String(email || "")
+      .trim()
+      .toLowerCase();
+    const errors = [];
+    if (!namePattern.test(name)) {
+      errors.push(
+        "Username must have 3 to 30 letters, digits, dots, dashes or underscores"
+      );
+    }
+    if (!emailPattern.test(address)) errors.push("Email is not valid");
+    validatePassword(password, confirm, errors);
+    if (errors.length) {
+      throw createError(400, "Invalid registration", { errors });
+    }
+
+    const created =
+      !(await this._isTaken(name)) &&
+      (await this._repo.create({
+        name,
+        email: address,
+        passwordHash: await hashPassword(password),
+        failedLogins: 0,
+        lockedUntil: null,
+        resetToken: null,
+        resetExpiresAt: null,
+        identities: [],
+        role: roles.customer,
+        createdAt: new Date().toJSON(),
+      }));
+    if (!created) {
+      throw createError(409, "Account already exists", {
+        errors: ["That username or email is already registered"],
+      });
+    }
+    return this._toUser({ name, email: address });
+  }
+
+  // Returns the account, or the key of the error to show instead
+  async authenticate(username, password, now = new Date()) {
+    const account = username ? await this._repo.findByName(username) : null;
+    if (!account) {
+      await verifyPassword(String(password), await getUnknownUserHash());
+      return { error: loginErrors.invalid };
+    }
+    if (account.lockedUntil && new Date(account.lockedUntil) > now) {
+      return { error: loginErrors.locked };
+    }
+
+    if (!(await verifyPassword(String(password), account.passwordHash))) {
+      const failedLogins = (account.failedLogins || 0) + 1;
+      const locked = failedLogins >= maxFailedLogins;
+      await this._repo.update({
+        name: account.name,
+        failedLogins: locked ? 0 : failedLogins,
+        lockedUntil: locked
+          ? addMinutes(now, lockMinutes).toJSON()
+          : account.lockedUntil,
+      });
+      return { error: locked ? loginErrors.locked : loginErrors.invalid };
+    }
+
+    if (account.failedLogins || account.lockedUntil) {
+      await this._repo.update({
+        name: account.name,
+        failedLogins: 0,
+        lockedUntil: null,
+      });
+    }
+    return { account: this._toUser(account) };
+  }
+
+  // Finds the account of a company identity. The first time, the identity is
+  // linked to the account with its email when the issuer verified it, or a new
+  // account without a password is created.
+  async findOrCreateForIdentity({
+    issuer,
+    subject,
+    email,
+    emailVerified,
+    username,
+  }) {
+    const linked = await this._repo.findByIdentity(issuer, subject);
+    if (linked) return this._toUser(linked);
+
+    const address = String(email || "")
+      .trim()
+      .toLowerCase();
+    if (!emailPattern.test(address)) {
+      throw createError(409, "Company identity without a valid email");
+    }
+    const identity = { issuer, subject };
+    const existing = await this._repo.findByEmail(address);
+    if (existing) {
+      if (!emailVerified) {
+        throw createError(409, "Email registered to another account");
+      }
+      await this._repo.update({
+        name: existing.name,
+        identities: (existing.identities || []).concat(identity),
+      });
+      return this._toUser(existing);
+    }
+
+    for (let attempt = 0; attempt < usernameAttempts; attempt++) {
+      const name = suggestUsername(username, address, attempt);
+      if (await this._isTaken(name)) continue;
+      const created = await this._repo.create({
+        name,
+        email: address,
+        passwordHash: null,
+        failedLogins: 0,
+        lockedUntil: null,
+        resetToken: null,
+        resetExpiresAt: null,
+        identities: [identity],
+        role: roles.customer,
+        createdAt: new Date().toJSON(),
+      });
+      if (created) return this._toUser({ name, email: address });
+      // The email might have been taken in the meantime too
+      if (await this._repo.findByEmail(address)) break;
+    }
+    throw createError(409, "Could not create an account for the identity");
+  }
+
+  // Mails a one-time link to reset the password. Nothing tells whether the
+  // email belongs to an account.
+  async requestPasswordReset(email, baseUrl, now = new Date()) {
+    const account = await this._repo.findByEmail(
+      String(email || "")
+        .trim()
+        .toLowerCase()
+    );
+    if (!account) return;
+
+    const token = crypto.randomBytes(32).toString("hex");
+    await this._repo.update({
+      name: account.name,
+      resetToken: hashToken(token),
+      resetExpiresAt: addMinutes(now, resetMinutes).toJSON(),
+    });
+    await this._mail.send(
+      account.email,
+      "Reset your Contoso Air password",
+      `Hi ${account.name},\n\n` +
+        `Use this link within ${resetMinutes} minutes to choose a new password:\n` +
+        `${baseUrl}/reset/password?token=${token}\n\n` +
+        "If you didn't ask for it, you can ignore this email."
+    );
+  }
+
+  // The token works once, resetting also unlocks the account
+  async resetPassword(token, password, confirm, now = new Date()) {
+    const invalidToken = () =>
+      createError(400, "Invalid reset token", {
+        errors: ["This reset link is not valid anymore, ask for a new one"],
+      });
+    const resetToken = token ? hashToken(String(token)) : null;
+    const account = resetToken
+      ? await this._repo.findByResetToken(resetToken)
+      : null;
+    if (!account || new Date(account.resetExpiresAt) <= now) {
+      throw invalidToken();
+    }
+    const errors = [];
+    validatePassword(password, confirm, errors);
+    if (errors.length) {
+      throw createError(400, "Invalid password", { errors });
+    }
+
+    // Whoever uses the token first resets the password
+    const reset = await this._repo.updateByResetToken(resetToken, {
+      passwordHash: await hashPassword(password),
+      failedLogins: 0,
+      lockedUntil: null,
+      resetToken: null,
+      resetExpiresAt: null,
+    });
+    if (!reset) throw invalidToken();
+    return this._toUser(reset);
+  }
+}
+
+AccountService.roles = roles;
+AccountService.staffRoles = staffRoles;
+AccountService.loginErrors = loginErrors;
+AccountService.maxFailedLogins = maxFailedLogins;
+
+module.exports = AccountService;
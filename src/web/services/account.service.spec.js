@@ -0,0 +1,310 @@
+const AccountService = require("./account.service");
+const MailService = require("./mail.service");
+const AccountsMemoryRepository = require("../repositories/accounts.memory.repository");
+const MemoryStore = require("../repositories/memory.store");
+
+const createService = function () {
+  const store = new MemoryStore();
+  const transport = new MailService.transports.memory();
+  const accountService = new AccountService(
+    new AccountsMemoryRepository(store),
+    new MailService(transport)
+  );
+  return { store, transport, accountService };
+};
+
+const registration = {
+  username: "alice",
+  email: "Alice@Example.com",
+  password: "correct horse",
+  confirm: "correct horse",
+};
+
+describe("[Unit] That Account Service", () => {
+  it("registers accounts with a hashed password", async () => {
+    const { store, accountService } = createService();
+
+    expect(await accountService.register(registration)).toEqual({
+      name: "alice",
+      email: "alice@example.com",
+      role: "customer",
+    });
+    const [account] = store.data.accounts;
+    expect(account.passwordHash).toMatch(/^scrypt\$/);
+    expect(account.passwordHash).not.toContain(registration.password);
+  });
+
+  it("rejects invalid registrations with every error found", async () => {
+    const { accountService } = createService();
+
+    const error = await accountService
+      .register({ username: "a", email: "nope", password: "short" })
+      .catch((e) => e);
+    expect(error.status).toBe(400);
+    expect(error.errors).toHaveLength(3);
+    await expect(
+      accountService.register(
+        Object.assign({}, registration, { confirm: "something else" })
+      )
+    ).rejects.toHaveProperty("errors", ["Passwords don't match"]);
+  });
+
+  it("keeps emails unique", async () => {
+    const { accountService } = createService();
+    await accountService.register(registration);
+
+    await expect(
+      accountService.register(
+        Object.assign({}, registration, {
+          username: "bob",
+          email: "ALICE@example.com",
+        })
+      )
+    ).rejects.toHaveProperty("status", 409);
+  });
+
+  it("only authenticates with the right password", async () => {
+    const { accountService } = createService();
+    await accountService.register(registration);
+
+    expect(await accountService.authenticate("alice", "correct horse")).toEqual(
+      {
+        account: {
+          name: "alice",
+          email: "alice@example.com",
+          role: "customer",
+        },
+      }
+    );
+    expect(await accountService.authenticate("alice", "wrong")).toEqual({
+      error: AccountService.loginErrors.invalid,
+    });
+    expect(await accountService.authenticate("bob", "correct horse")).toEqual({
+      error: AccountService.loginErrors.invalid,
+    });
+  });
+
+  it("locks the account after repeated failures", async () => {
+    const { accountService } = createService();
+    await accountService.register(registration);
+    const now = new Date("2026-01-01T10:00:00Z");
+
+    for (let i = 1; i < AccountService.maxFailedLogins; i++) {
+      await accountService.authenticate("alice", "wrong", now);
+    }
+    expect(await accountService.authenticate("alice", "wrong", now)).toEqual({
+      error: AccountService.loginErrors.locked,
+    });
+    expect(
+      await accountService.authenticate("alice", "correct horse", now)
+    ).toEqual({ error: AccountService.loginErrors.locked });
+
+    const later = new Date("2026-01-01T10:20:00Z");
+    expect(
+      await accountService.authenticate("alice", "correct horse", later)
+    ).toHaveProperty("account.name", "alice");
+  });
+
+  it("resets the password with a one-time token sent by mail", async () => {
+    const { transport, accountService } = createService();
+    await accountService.register(registration);
+
+    await accountService.requestPasswordReset("nobody@example.com", "http://x");
+    expect(transport.sent).toEqual([]);
+
+    await accountService.requestPasswordReset("alice@example.com", "http://x");
+    expect(transport.sent).toHaveLength(1);
+    expect(transport.sent[0].to).toBe("alice@example.com");
+    const token = transport.sent[0].text.match(/token=([0-9a-f]+)/)[1];
+
+    await accountService.resetPassword(token, "new password", "new password");
+    expect(
+      await accountService.authenticate("alice", "new password")
+    ).toHaveProperty("account.name", "alice");
+    await expect(
+      accountService.resetPassword(token, "other password", "other password")
+    ).rejects.toHaveProperty("status", 400);
+  });
+
+  it("resets the password once when the token is used twice at once", async () => {
+    const { transport, accountService } = createService();
+    await accountService.register(registration);
+    await accountService.requestPasswordReset("alice@example.com", "http://x");
+    const token = transport.sent[0].text.match(/token=([0-9a-f]+)/)[1];
+
+    const results = await Promise.allSettled([
+      accountService.resetPassword(token, "first password", "first password"),
+      accountService.resetPassword(token, "other password", "other password"),
+    ]);
+    expect(results.map((r) => r.status).sort()).toEqual([
+      "fulfilled",
+      "rejected",
+    ]);
+  });
+
+  it("does not accept expired reset tokens", async () => {
+    const { transport, accountService } = createService();
+    await accountService.register(registration);
+    await accountService.requestPasswordReset(
+      "alice@example.com",
+      "http://x",
+      new Date("2026-01-01T10:00:00Z")
+    );
+    const token = transport.sent[0].text.match(/token=([0-9a-f]+)/)[1];
+
+    await expect(
+      accountService.resetPassword(
+        token,
+        "new password",
+        "new password",
+        new Date("2026-01-01T11:00:00Z")
+      )
+    ).rejects.toHaveProperty("status", 400);
+  });
+
+  describe("with company identities", () => {
+    const identity = {
+      issuer: "https://login.example.com",
+      subject: "42",
+      email: "Jane@Example.com",
+      emailVerified: true,
+      username: "jane doe",
+    };
+
+    it("creates an account without a password the first time", async () => {
+      const { accountService } = createService();
+
+      const account = await accountService.findOrCreateForIdentity(identity);
+      expect(account).toEqual({
+        name: "janedoe",
+        email: "jane@example.com",
+        role: "customer",
+      });
+      expect(
+        await accountService.findOrCreateForIdentity(
+          Object.assign({}, identity, { email: "other@example.com" })
+        )
+      ).toEqual(account);
+      expect(await accountService.authenticate("janedoe", "")).toEqual({
+        error: AccountService.loginErrors.invalid,
+      });
+    });
+
+    it("links verified emails to existing accounts", async () => {
+      const { accountService } = createService();
+      await accountService.register(
+        Object.assign({}, registration, { email: "jane@example.com" })
+      );
+
+      await expect(
+        accountService.findOrCreateForIdentity(
+          Object.assign({}, identity, { emailVerified: false })
+        )
+      ).rejects.toHaveProperty("status", 409);
+      expect(await accountService.findOrCreateForIdentity(identity)).toEqual({
+        name: "alice",
+        email: "jane@example.com",
+        role: "customer",
+      });
+    });
+
+    it("picks another username when it is taken", async () => {
+      const { accountService } = createService();
+      await accountService.register(
+        Object.assign({}, registration, { username: "janedoe" })
+      );
+
+      const account = await accountService.findOrCreateForIdentity(identity);
+      expect(account.name).toMatch(/^janedoe\d+$/);
+    });
+  });
+
+  it("hands out roles, configured admins always being admins", async () => {
+    const store = new MemoryStore();
+    await new AccountService(new AccountsMemoryRepository(store)).register(
+      Object.assign({}, registration, {
+        username: "root",
+        email: "root@example.com",
+      })
+    );
+    const accountService = new AccountService(
+      new AccountsMemoryRepository(store),
+      null,
+      ["root"]
+    );
+    await accountService.register(registration);
+
+    expect(await accountService.setRole("alice", "agent")).toHaveProperty(
+      "role",
+      "agent"
+    );
+    expect(await accountService.getByName("alice")).toHaveProperty(
+      "role",
+      "agent"
+    );
+    expect(await accountService.getByName("root")).toHaveProperty(
+      "role",
+      "admin"
+    );
+    await expect(
+      accountService.setRole("alice", "pilot")
+    ).rejects.toHaveProperty("status", 400);
+    await expect(accountService.setRole("bob", "agent")).rejects.toHaveProperty(
+      "status",
+      404
+    );
+  });
+
+  it("keeps names with bookings from being registered", async () => {
+    const store = new MemoryStore();
+    const bookRepository = {
+      getUserInfo: async (user) =>
+        user == "legacy"
+          ? { user, booked: null, purchased: [{ id: "ABC234" }] }
+          : { user, booked: null, purchased: [] },
+    };
+    const accountService = new AccountService(
+      new AccountsMemoryRepository(store),
+      null,
+      [],
+      bookRepository
+    );
+
+    await expect(
+      accountService.register(
+        Object.assign({}, registration, { username: "legacy" })
+      )
+    ).rejects.toHaveProperty("status", 409);
+    expect(await accountService.register(registration)).toHaveProperty(
+      "name",
+      "alice"
+    );
+  });
+
+  it("keeps configured admin names from being registered", async () => {
+    const store = new MemoryStore();
+    const accountService = new AccountService(
+      new AccountsMemoryRepository(store),
+      null,
+      ["root"]
+    );
+
+    await expect(
+      accountService.register(
+        Object.assign({}, registration, { username: "Root" })
+      )
+    ).rejects.toHaveProperty("status", 409);
+    const account = await accountService.findOrCreateForIdentity({
+      issuer: "https://login.example.com",
+      subject: "42",
+      email: "root@example.com",
+      emailVerified: true,
+      username: "root",
+    });
+    expect(account).toEqual({
+      name: expect.stringMatching(/^root\d+$/),
+      email: "root@example.com",
+      role: "customer",
+    });
+  });
+});
@@ -0,0 +1,39 @@
+const actions = {
+  viewed: "viewed",
+  cancelled: "cancelled",
+  refunded: "refunded",
+  releasedHold: "releasedHold",
+  changedRole: "changedRole",
+};
+
+// How many entries are shown at once
+const listLimit = 100;
+
+// Keeps track of what staff did on behalf of customers
+class AuditService {
+  constructor(auditRepository) {
+    this._repo = auditRepository;
+  }
+
+  async record(actor, action, user, bookingId = null, details = null) {
+    const entry = {
+      date: new Date().toJSON(),
+      actor: actor.name,
+      role: actor.role,
+      action,
+      user,
+      bookingId,
+      details,
+    };
+    await this._repo.add(entry);
+    return entry;
+  }
+
+  async list(user = null) {
+    return await this._repo.list(user, listLimit);
+  }
+}
+
+AuditService.actions = actions;
+
+module.exports = AuditService;
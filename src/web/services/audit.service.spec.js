@@ -0,0 +1,33 @@
+const AuditService = require("./audit.service");
+const AuditMemoryRepository = require("../repositories/audit.memory.repository");
+const MemoryStore = require("../repositories/memory.store");
+
+describe("[Unit] That Audit Service", () => {
+  it("records who did what on behalf of whom, newest first", async () => {
+    const auditService = new AuditService(
+      new AuditMemoryRepository(new MemoryStore())
+    );
+    const agent = { name: "sam", role: "agent" };
+
+    await auditService.record(agent, AuditService.actions.viewed, "alice");
+    await new Promise((resolve) => setTimeout(resolve, 2));
+    await auditService.record(
+      agent,
+      AuditService.actions.cancelled,
+      "bob",
+      "ABC234",
+      "$75 to refund"
+    );
+
+    const entries = await auditService.list();
+    expect(entries.map((e) => e.action)).toEqual(["cancelled", "viewed"]);
+    expect(entries[0]).toMatchObject({
+      actor: "sam",
+      role: "agent",
+      user: "bob",
+      bookingId: "ABC234",
+      details: "$75 to refund",
+    });
+    expect(await auditService.list("alice")).toHaveLength(1);
+  });
+});
@@ -1,5 +1,14 @@
 const moment = require("moment");
 
+const maxLegs = 5;
+const maxPassengers = 5;
+
+const tripTypes = {
+  roundTrip: "roundtrip",
+  oneWay: "oneway",
+  multiCity: "multicity",
+};
+
 class BookFormService {
   constructor(airports) {
     this._airports = airports;
@@ -8,15 +17,21 @@ class BookFormService {
   getForm() {
     return {
       kinds: [
-        { text: "Round trip", active: true },
-        { text: "One way" },
-        { text: "Multi-city" },
+        { text: "Round trip", value: tripTypes.roundTrip, active: true },
+        { text: "One way", value: tripTypes.oneWay },
+        { text: "Multi-city", value: tripTypes.multiCity },
       ],
       today: moment().toDate(),
-      passengers: [1, 2, 3, 4, 5],
+      passengers: Array.from({ length: maxPassengers }, (_, i) => i + 1),
+      // Additional legs offered by the multi-city form, after the first one
+      extraLegs: Array.from({ length: maxLegs - 1 }, (_, i) => i + 2),
       airports: this._airports.getAll(),
     };
   }
 }
 
+BookFormService.tripTypes = tripTypes;
+BookFormService.maxLegs = maxLegs;
+BookFormService.maxPassengers = maxPassengers;
+
 module.exports = BookFormService;
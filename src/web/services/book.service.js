@@ -1,66 +1,209 @@
-const { v4: uuidv4 } = require("uuid");
+const crypto = require("crypto");
+const createError = require("http-errors");
+const moment = require("moment");
+const { tripTypes, maxPassengers } = require("./book.form.service");
+const VersionConflictError = require("../repositories/version.conflict.error");
 
-const getRandomSeat = function (cols = "ABCDEF", rows = 32) {
-  var col = cols[Math.floor(Math.random() * cols.length)];
-  var row = Math.floor(Math.random() * rows) + 1;
-  return row + "" + col;
+const bookingStatus = {
+  held: "held",
+  purchased: "purchased",
+  cancelled: "cancelled",
+  refunded: "refunded",
 };
 
-const getNextSeat = function (seat, cols = "ABCDEF") {
-  const col = (cols.indexOf(seat.substr(-1)) + 1) % cols.length;
-  if (col != 0) return seat.slice(0, -1) + cols[col];
-  const row = parseInt(seat.slice(0, -1)) + 1;
-  return row + cols[col];
-};
-
-const segmentParser = function (s, airports, passengers) {
-  const seats = [getRandomSeat()];
-  for (let i = 1; i < passengers; i++) {
-    seats.push(getNextSeat(seats[i - 1]));
-  }
-
+const segmentParser = function (s, airports) {
   return {
     flight: s.flight,
+    date: s.date,
+    aircraft: s.aircraft,
     fromCode: s.fromCode,
     fromCity: airports.getByCode(s.fromCode).city,
     toCode: s.toCode,
     toCity: airports.getByCode(s.toCode).city,
-    seats,
+    seats: [],
     departTime: s.departTime,
     arrivalTime: s.arrivalTime,
   };
 };
 
-const flightParser = function (flight, airports, passengers) {
+const flightParser = function (flight, airports) {
+  const segments = flight.segments.map((s) => segmentParser(s, airports));
   return {
+    departDate: flight.departDate,
     duration: flight.duration,
+    distance: flight.distance,
+    stops: segments.length ? segments.length - 1 : flight.stops,
     price: flight.price,
-    fromCode: flight.fromCode,
-    toCode: flight.toCode,
-    segments: flight.segments.map((s) =>
-      segmentParser(s, airports, passengers)
-    ),
+    fromCode: segments.length ? segments[0].fromCode : flight.fromCode,
+    toCode: segments.length
+      ? segments[segments.length - 1].toCode
+      : flight.toCode,
+    segments,
   };
 };
 
+// Trips stored before multi-city support have a parting/returning pair
+// instead of an ordered list of legs.
+const getLegs = function (travel) {
+  if (!travel.parting) return travel.legs || [];
+  return [travel.parting, travel.returning].filter((leg) => leg);
+};
+
+const toLegs = function (travel) {
+  if (!travel || !travel.parting) return travel;
+  const { parting, returning, ...rest } = travel;
+  const tripType = returning ? tripTypes.roundTrip : tripTypes.oneWay;
+  return Object.assign(rest, { tripType, legs: getLegs(travel) });
+};
+
+// Bookings made before passenger details and statuses were kept have none
+const normalize = function (travel, status) {
+  if (!travel) return travel;
+  return Object.assign(toLegs(travel), {
+    passengerDetails: travel.passengerDetails || [],
+    status: travel.status || status,
+    history: travel.history || [],
+  });
+};
+
+// Record locators leave out letters and digits that are easy to mix up
+const locatorAlphabet = "ABCDEFGHJKLMNPQRSTUVWXYZ23456789";
+const locatorLength = 6;
+const locatorAttempts = 10;
+
+const generateLocator = function () {
+  return Array.from(
+    { length: locatorLength },
+    () => locatorAlphabet[crypto.randomInt(locatorAlphabet.length)]
+  ).join("");
+};
+
+// Times a change is tried again when it loses a race with another one
+const updateAttempts = 3;
+
+const getPurchased = function (userInfo, id) {
+  const travel = userInfo.purchased.find((f) => f.id == id);
+  if (!travel) {
+    throw createError(404, "Booking not found");
+  }
+  return travel;
+};
+
+// Bookings found by a staff search are about a handful of users
+const searchLimit = 50;
+
+// Minutes a booking is held, along with its seats, before it must be purchased
+const holdMinutes = 15;
+
+const isExpired = function (travel, now = new Date()) {
+  return !!travel.expiresAt && new Date(travel.expiresAt) <= now;
+};
+
+const getHeld = function (userInfo) {
+  const booked = userInfo.booked;
+  if (booked && isExpired(booked)) {
+    throw createError(
+      410,
+      "Your booking hold expired and its seats were released. Please search for your flights again."
+    );
+  }
+  return booked;
+};
+
+const getSegments = (travel) =>
+  [].concat(...getLegs(travel).map((leg) => leg.segments));
+
+// A trip can only be purchased once every passenger has details and a seat on
+// every segment
+const isComplete = function (travel) {
+  const seated = getLegs(travel).every((leg) =>
+    leg.segments.every((segment) => segment.seats.length)
+  );
+  return travel.passengerDetails.length == travel.passengers && seated;
+};
+
+// Changes don't alter the status of a trip, they are only kept in its history
+const changedEvent = "changed";
+
+const addHistory = function (travel, status, details) {
+  travel.history.push(
+    Object.assign({ status, date: new Date().toJSON() }, details)
+  );
+};
+
+const setStatus = function (travel, status, details) {
+  travel.status = status;
+  addHistory(travel, status, details);
+};
+
+const withTotals = function (travel) {
+  const legs = getLegs(travel).map((leg) =>
+    Object.assign({}, leg, { subtotal: leg.price * travel.passengers })
+  );
+  const total = legs.reduce((sum, leg) => sum + leg.subtotal, 0);
+  return Object.assign({}, travel, { legs, total });
+};
+
 class BookService {
-  constructor(bookRepository, airports) {
+  constructor(
+    bookRepository,
+    airports,
+    seatMap,
+    passengerDetails,
+    fareRules,
+    prices
+  ) {
     this._repo = bookRepository;
     this._airports = airports;
+    this._seatMap = seatMap;
+    this._passengerDetails = passengerDetails;
+    this._fareRules = fareRules;
+    this._prices = prices;
   }
 
-  async getFlights(username) {
+  async _getUserInfo(username) {
     const userInfo = await this._repo.getUserInfo(username);
-    return userInfo.purchased.map((p) =>
-      Object.assign({}, p, {
-        total: (p.parting.price + p.returning.price) * p.passengers,
-      })
-    );
+    return Object.assign(userInfo, {
+      booked: normalize(userInfo.booked, bookingStatus.held),
+      purchased: (userInfo.purchased || []).map((travel) =>
+        normalize(travel, bookingStatus.purchased)
+      ),
+    });
+  }
+
+  // Reads the user info, lets change modify it and saves it. When someone else
+  // saved the same user info in between, it starts over from a fresh read.
+  // Changes return null when there is nothing to save.
+  async _update(username, change) {
+    for (let attempt = 1; ; attempt++) {
+      const userInfo = await this._getUserInfo(username);
+      const result = await change(userInfo);
+      if (result === null) return null;
+      try {
+        await this._repo.createOrUpdateUserInfo(userInfo);
+        return result;
+      } catch (error) {
+        if (!(error instanceof VersionConflictError)) throw error;
+        if (attempt >= updateAttempts) {
+          throw createError(
+            409,
+            "Your bookings were changed somewhere else at the same time. Please try again."
+          );
+        }
+      }
+    }
+  }
+
+  async getFlights(username) {
+    const userInfo = await this._getUserInfo(username);
+    return userInfo.purchased.map(withTotals);
   }
 
   async getBooked(username) {
-    const userInfo = await this._repo.getUserInfo(username);
-    return userInfo.booked;
+    const userInfo = await this._getUserInfo(username);
+    const booked = getHeld(userInfo);
+    if (!booked) return null;
+    return withTotals(booked);
   }
 
   async getFlightById(username, id) {
@@ -68,29 +211,353 @@ class BookService {
     return purchased.find((f) => f.id == id);
   }
 
-  async bookFlight(username, parting, returning, passengers) {
-    const userInfo = await this._repo.getUserInfo(username);
-    userInfo.booked = {
-      id: uuidv4(),
-      passengers,
-      parting: flightParser(parting, this._airports, passengers),
-      returning: flightParser(returning, this._airports, passengers),
-    };
+  // Locators are reserved in the repository, so no two bookings share one
+  async _newLocator() {
+    for (let attempt = 0; attempt < locatorAttempts; attempt++) {
+      const locator = generateLocator();
+      if (await this._repo.reserveLocator(locator)) return locator;
+    }
+    throw createError(503, "Could not create a booking reference");
+  }
 
-    await this._repo.createOrUpdateUserInfo(userInfo);
-    return userInfo.booked.id;
+  // passengers may come straight from a form, every page of the booking
+  // loops over them
+  async bookFlight(username, flights, passengers, tripType) {
+    const count = Number(passengers);
+    if (!Number.isInteger(count) || count < 1 || count > maxPassengers) {
+      throw createError(400, `A trip is for 1 to ${maxPassengers} passengers`);
+    }
+    // Seats of the replaced hold are only released once it is really replaced,
+    // it might have been purchased in the meantime
+    let previous;
+    // Reserved once, retries must not use up more locators
+    const locator = await this._newLocator();
+    const id = await this._update(username, async (userInfo) => {
+      previous = userInfo.booked;
+      userInfo.booked = {
+        id: locator,
+        tripType,
+        passengers: count,
+        legs: flights.map((f) => flightParser(f, this._airports)),
+        passengerDetails: [],
+        status: bookingStatus.held,
+        history: [],
+        expiresAt: moment().add(holdMinutes, "minutes").toJSON(),
+      };
+      return userInfo.booked.id;
+    });
+    if (previous) {
+      await this._seatMap.releaseSeats(previous.id);
+    }
+    return id;
   }
 
-  async purchase(username) {
-    const userInfo = await this._repo.getUserInfo(username);
-    if (!userInfo.booked) return null;
+  async savePassengerDetails(username, details) {
+    return await this._update(username, async (userInfo) => {
+      const booked = getHeld(userInfo);
+      if (!booked) return null;
+
+      const segments = booked.legs.reduce(
+        (all, leg) => all.concat(leg.segments),
+        []
+      );
+      const { passengers, errors } = this._passengerDetails.validate(
+        details,
+        booked.passengers,
+        segments[0].date,
+        segments[segments.length - 1].date
+      );
+      if (errors.length) {
+        throw createError(400, "Invalid passenger details", { errors });
+      }
+
+      booked.passengerDetails = passengers;
+      return booked.id;
+    });
+  }
+
+  // seats holds, for every leg and segment, the seat of each passenger. New
+  // seats are reserved once before the choice is saved and given back if it
+  // can't be, the seats left are only released once it is saved.
+  async chooseSeats(username, seats) {
+    const booked = getHeld(await this._getUserInfo(username));
+    if (!booked) return null;
+    const choices = [];
+    booked.legs.forEach((leg, l) =>
+      leg.segments.forEach((segment, s) =>
+        choices.push({
+          segment,
+          held: segment.seats || [],
+          chosen: ((seats[l] || [])[s] || []).filter((seat) => seat),
+          reserved: [],
+        })
+      )
+    );
 
-    const id = userInfo.booked.id;
-    userInfo.purchased.push(userInfo.booked);
-    userInfo.booked = null;
-    await this._repo.createOrUpdateUserInfo(userInfo);
+    let id;
+    try {
+      for (const choice of choices) {
+        choice.reserved = await this._seatMap.reserveSeats(
+          booked.id,
+          choice.segment,
+          choice.chosen,
+          booked.passengers,
+          choice.held
+        );
+      }
+
+      id = await this._update(username, async (userInfo) => {
+        const current = getHeld(userInfo);
+        if (!current) return null;
+        const segments = getSegments(current);
+        // The seats left are the ones held when the new ones were chosen
+        const unchanged =
+          current.id == booked.id &&
+          segments.every(
+            (segment, i) =>
+              String(segment.seats || []) == String(choices[i].held)
+          );
+        if (!unchanged) {
+          throw createError(
+            409,
+            "Your seats were changed somewhere else at the same time. Please try again."
+          );
+        }
+        segments.forEach((segment, i) => (segment.seats = choices[i].chosen));
+        return current.id;
+      });
+    } catch (error) {
+      await this._releaseChosen(booked.id, choices, (c) => c.reserved);
+      throw error;
+    }
+    if (!id) {
+      await this._releaseChosen(booked.id, choices, (c) => c.reserved);
+      return null;
+    }
+
+    await this._releaseChosen(booked.id, choices, (c) =>
+      c.held.filter((seat) => !c.chosen.includes(seat))
+    );
     return id;
   }
+
+  async _releaseChosen(bookingId, choices, seatsOf) {
+    for (const choice of choices) {
+      const seats = seatsOf(choice);
+      if (seats.length) {
+        await this._seatMap.releaseSeats(bookingId, choice.segment, seats);
+      }
+    }
+  }
+
+  // Purchases the held trip, only when it is still the one with the id if
+  // one is given
+  async purchase(username, id) {
+    return await this._update(username, async (userInfo) => {
+      if (!getHeld(userInfo)) return null;
+      if (id && userInfo.booked.id != id) {
+        throw createError(404, "There is no held booking with this id");
+      }
+      if (!isComplete(userInfo.booked)) {
+        throw createError(409, "The booking needs passenger details and seats");
+      }
+
+      const purchased = userInfo.booked.id;
+      setStatus(userInfo.booked, bookingStatus.purchased);
+      userInfo.purchased.push(userInfo.booked);
+      userInfo.booked = null;
+      return purchased;
+    });
+  }
+
+  // Public lookup of a purchased trip, for anyone who knows its locator and
+  // the last name of one of its passengers
+  async findByLocator(lastName, locator) {
+    const id = String(locator || "")
+      .trim()
+      .toUpperCase();
+    const name = String(lastName || "")
+      .trim()
+      .toLowerCase();
+    if (!id || !name) return null;
+
+    const userInfo = await this._repo.findByLocator(id);
+    if (!userInfo) return null;
+    const travel = (userInfo.purchased || [])
+      .map((t) => normalize(t, bookingStatus.purchased))
+      .find((t) => t.id == id);
+    const matches =
+      travel &&
+      travel.passengerDetails.some((p) => p.lastName.toLowerCase() == name);
+    return matches ? withTotals(travel) : null;
+  }
+
+  // Staff looking for bookings of any user, by username, locator or last name
+  async searchBookings(text) {
+    const search = String(text || "").trim();
+    if (!search) return [];
+
+    const users = await this._repo.findUsers(search, searchLimit);
+    return users.flatMap((userInfo) => {
+      const booked = normalize(userInfo.booked, bookingStatus.held);
+      const purchased = (userInfo.purchased || []).map((t) =>
+        normalize(t, bookingStatus.purchased)
+      );
+      return (booked ? [booked] : [])
+        .concat(purchased)
+        .map((travel) =>
+          Object.assign(withTotals(travel), { user: userInfo.user })
+        );
+    });
+  }
+
+  // Everything a user booked, expired holds included, for staff
+  async getUserBookings(username) {
+    const userInfo = await this._getUserInfo(username);
+    const booked = userInfo.booked
+      ? Object.assign(withTotals(userInfo.booked), {
+          expired: isExpired(userInfo.booked),
+        })
+      : null;
+    return { booked, purchased: userInfo.purchased.map(withTotals) };
+  }
+
+  // Drops the hold of a user right away, as the sweeper does once it expires
+  async releaseHold(username) {
+    const id = await this._update(username, async (userInfo) => {
+      if (!userInfo.booked) return null;
+      const id = userInfo.booked.id;
+      userInfo.booked = null;
+      return id;
+    });
+    if (id) {
+      await this._seatMap.releaseSeats(id);
+    }
+    return id;
+  }
+
+  // What cancelling a purchased trip gives back, or null if it can't be
+  // cancelled anymore
+  getRefund(travel) {
+    if (travel.status != bookingStatus.purchased) return null;
+    return this._fareRules.getRefund(withTotals(travel));
+  }
+
+  // Purchased trips can be changed until their first flight leaves
+  canChange(travel, today = new Date()) {
+    if (travel.status != bookingStatus.purchased) return false;
+    return (
+      travel.legs[0].segments[0].date >= moment(today).format("YYYY-MM-DD")
+    );
+  }
+
+  // Checks a change to a leg of a trip before and after it is saved
+  _checkChange(travel, index, leg) {
+    if (!this.canChange(travel)) {
+      throw createError(409, "This trip can no longer be changed");
+    }
+    if (!travel.legs[index]) {
+      throw createError(400, "There is no such flight in this trip");
+    }
+    // Seats are kept by flight, the seats of both would get mixed up
+    const segments = [].concat(...travel.legs.map((l) => l.segments));
+    const taken = leg.segments.find((segment) =>
+      segments.some((s) => s.flight == segment.flight && s.date == segment.date)
+    );
+    if (taken) {
+      throw createError(400, `This trip is already on flight ${taken.flight}`);
+    }
+  }
+
+  // Seats on the new flights are reserved once before the change is saved and
+  // released again if it can't be. The seats of the old flights are only
+  // released once it is saved.
+  async changeLeg(username, id, index, flight) {
+    const leg = flightParser(flight, this._airports);
+    if (leg.segments[0].date < moment().format("YYYY-MM-DD")) {
+      throw createError(400, "Trips can't be changed to flights in the past");
+    }
+    const travel = getPurchased(await this._getUserInfo(username), id);
+    this._checkChange(travel, index, leg);
+
+    const reserved = [];
+    let previous;
+    let difference;
+    try {
+      for (const segment of leg.segments) {
+        const seatMap = await this._seatMap.getSeatMap(segment);
+        const seats = this._seatMap.suggestSeats(seatMap, travel.passengers);
+        await this._seatMap.reserveSeats(
+          travel.id,
+          segment,
+          seats,
+          travel.passengers
+        );
+        reserved.push(segment);
+        segment.seats = seats;
+      }
+
+      difference = await this._update(username, async (userInfo) => {
+        const travel = getPurchased(userInfo, id);
+        this._checkChange(travel, index, leg);
+        previous = travel.legs[index];
+        const difference = this._prices.getFareDifference(
+          previous.price,
+          leg.price,
+          travel.passengers
+        );
+        travel.legs[index] = leg;
+        addHistory(travel, changedEvent, {
+          amount: difference,
+          note: `${previous.fromCode}-${previous.toCode} moved from ${previous.departDate} to ${leg.departDate}`,
+        });
+        return difference;
+      });
+    } catch (error) {
+      for (const segment of reserved) {
+        await this._seatMap.releaseSeats(travel.id, segment);
+      }
+      throw error;
+    }
+
+    for (const segment of previous.segments) {
+      await this._seatMap.releaseSeats(travel.id, segment);
+    }
+    return difference;
+  }
+
+  // The seats are only released once the trip is saved as cancelled
+  async cancel(username, id) {
+    const refund = await this._update(username, async (userInfo) => {
+      const travel = getPurchased(userInfo, id);
+      const refund = this.getRefund(travel);
+      if (!refund) {
+        throw createError(409, "This trip can no longer be cancelled");
+      }
+
+      setStatus(travel, bookingStatus.cancelled, { amount: refund.amount });
+      travel.refund = refund.amount;
+      return refund;
+    });
+    await this._seatMap.releaseSeats(id);
+    return refund;
+  }
+
+  async refund(username, id) {
+    return await this._update(username, async (userInfo) => {
+      const travel = getPurchased(userInfo, id);
+      if (travel.status != bookingStatus.cancelled) {
+        throw createError(409, "Only cancelled trips can be refunded");
+      }
+
+      setStatus(travel, bookingStatus.refunded, { amount: travel.refund });
+      return travel.refund;
+    });
+  }
 }
 
+BookService.bookingStatus = bookingStatus;
+BookService.holdMinutes = holdMinutes;
+BookService.changedEvent = changedEvent;
+
 module.exports = BookService;
@@ -2,6 +2,9 @@ const BookService = require("./book.service");
 
 const BookRepository = require("../repositories/book.repository");
 const AirportsService = require("./airports.service");
+const BookMemoryRepository = require("../repositories/book.memory.repository");
+const MemoryStore = require("../repositories/memory.store");
+const VersionConflictError = require("../repositories/version.conflict.error");
 jest.mock("../repositories/book.repository");
 jest.mock("./airports.service");
 
@@ -54,6 +57,26 @@ describe("[Unit] That Book Service", () => {
     expect(result[1].total).toBe(20);
   });
 
+  it("adds up the price of one way trips", async () => {
+    BookRepository.mockImplementation(function () {
+      return {
+        getUserInfo: async (username) => ({
+          id: username,
+          purchased: [
+            { passengers: 2, parting: { price: 10 }, returning: null },
+          ],
+        }),
+      };
+    });
+
+    const bookRepository = new BookRepository();
+    const bookService = new BookService(bookRepository, null);
+
+    const result = await bookService.getFlights("me");
+    expect(result).toHaveLength(1);
+    expect(result[0].total).toBe(20);
+  });
+
   it("can book a flight", async () => {
     BookRepository.mockImplementation(function () {
       return {
@@ -62,6 +85,7 @@ describe("[Unit] That Book Service", () => {
           booked: null,
           purchased: [],
         }),
+        reserveLocator: async () => true,
         createOrUpdateUserInfo: this.createOrUpdateUserInfo,
       };
     });
@@ -71,9 +95,12 @@ describe("[Unit] That Book Service", () => {
     const bookService = new BookService(bookRepository, airportsService);
     const id = await bookService.bookFlight(
       "me",
-      { fromCode: "BCN", toCode: "SEA", price: 10, segments: [] },
-      { fromCode: "SEA", toCode: "BCN", price: 20, segments: [] },
-      3
+      [
+        { fromCode: "BCN", toCode: "SEA", price: 10, segments: [] },
+        { fromCode: "SEA", toCode: "BCN", price: 20, segments: [] },
+      ],
+      3,
+      "roundtrip"
     );
 
     expect(id).toBeTruthy();
@@ -90,6 +117,62 @@ describe("[Unit] That Book Service", () => {
     );
   });
 
+  it("books every leg of a multi-city trip in order", async () => {
+    BookRepository.mockImplementation(function () {
+      return {
+        getUserInfo: async (username) => ({
+          id: "me",
+          booked: null,
+          purchased: [],
+        }),
+        reserveLocator: async () => true,
+        createOrUpdateUserInfo: this.createOrUpdateUserInfo,
+      };
+    });
+
+    const bookRepository = new BookRepository();
+    const airportsService = new AirportsService();
+    const bookService = new BookService(bookRepository, airportsService);
+    const id = await bookService.bookFlight(
+      "me",
+      [
+        { fromCode: "SEA", toCode: "CDG", price: 10, segments: [] },
+        { fromCode: "CDG", toCode: "BCN", price: 20, segments: [] },
+        { fromCode: "BCN", toCode: "SEA", price: 30, segments: [] },
+      ],
+      1,
+      "multicity"
+    );
+
+    expect(id).toBeTruthy();
+    const bookRepositoryCreateOrUpdateUserInfo =
+      BookRepository.mock.instances[0].createOrUpdateUserInfo;
+    const { booked } = bookRepositoryCreateOrUpdateUserInfo.mock.calls[0][0];
+    expect(booked.tripType).toBe("multicity");
+    expect(booked.legs.map((l) => l.fromCode)).toEqual(["SEA", "CDG", "BCN"]);
+  });
+
+  it("adds up the price of every leg", async () => {
+    BookRepository.mockImplementation(function () {
+      return {
+        getUserInfo: async (username) => ({
+          id: username,
+          booked: {
+            passengers: 2,
+            legs: [{ price: 10 }, { price: 20 }, { price: 30 }],
+          },
+        }),
+      };
+    });
+
+    const bookRepository = new BookRepository();
+    const bookService = new BookService(bookRepository, null);
+
+    const booked = await bookService.getBooked("me");
+    expect(booked.legs.map((l) => l.subtotal)).toEqual([20, 40, 60]);
+    expect(booked.total).toBe(120);
+  });
+
   it("gets no booked flight if there wasnt any", async () => {
     BookRepository.mockImplementation(function () {
       return {
@@ -131,7 +214,11 @@ describe("[Unit] That Book Service", () => {
         getUserInfo: async (username) => ({
           id: username,
           user: username,
-          booked: { id: "87ffc07c-6d9e-47f7-8ce1-f4d23d678b85" },
+          booked: {
+            id: "87ffc07c-6d9e-47f7-8ce1-f4d23d678b85",
+            passengers: 1,
+            passengerDetails: [{ firstName: "Ana" }],
+          },
           purchased: [],
         }),
         createOrUpdateUserInfo: this.createOrUpdateUserInfo,
@@ -156,4 +243,588 @@ describe("[Unit] That Book Service", () => {
       ]),
     });
   });
+
+  it("reserves the chosen seats of every segment", async () => {
+    const segment = { flight: "CA1", date: "2025-11-03", seats: ["1A"] };
+    BookRepository.mockImplementation(function () {
+      return {
+        getUserInfo: async (username) => ({
+          id: username,
+          user: username,
+          booked: { id: "b1", passengers: 1, legs: [{ segments: [segment] }] },
+          purchased: [],
+        }),
+        createOrUpdateUserInfo: this.createOrUpdateUserInfo,
+      };
+    });
+    const seatMap = {
+      reserveSeats: jest.fn(async () => ["4C"]),
+      releaseSeats: jest.fn(async () => {}),
+    };
+
+    const bookRepository = new BookRepository();
+    const bookService = new BookService(bookRepository, null, seatMap);
+    const id = await bookService.chooseSeats("me", [[["4C"]]]);
+    expect(id).toBe("b1");
+    expect(seatMap.reserveSeats).toBeCalledWith("b1", segment, ["4C"], 1, [
+      "1A",
+    ]);
+    expect(seatMap.releaseSeats).toBeCalledWith("b1", segment, ["1A"]);
+    const saved =
+      BookRepository.mock.instances[0].createOrUpdateUserInfo.mock.calls[0][0];
+    expect(saved.booked.legs[0].segments[0].seats).toEqual(["4C"]);
+  });
+
+  it("gives the chosen seats back when they can't be saved", async () => {
+    const segment = { flight: "CA1", date: "2025-11-03", seats: ["1A"] };
+    BookRepository.mockImplementation(function () {
+      return {
+        getUserInfo: async (username) =>
+          JSON.parse(
+            JSON.stringify({
+              id: username,
+              user: username,
+              booked: {
+                id: "b1",
+                passengers: 1,
+                legs: [{ segments: [segment] }],
+              },
+              purchased: [],
+            })
+          ),
+        createOrUpdateUserInfo: jest.fn(async () => {
+          throw new VersionConflictError();
+        }),
+      };
+    });
+    const seatMap = {
+      reserveSeats: jest.fn(async () => ["4C"]),
+      releaseSeats: jest.fn(async () => {}),
+    };
+
+    const bookRepository = new BookRepository();
+    const bookService = new BookService(bookRepository, null, seatMap);
+    await expect(
+      bookService.chooseSeats("me", [[["4C"]]])
+    ).rejects.toHaveProperty("status", 409);
+    expect(bookRepository.createOrUpdateUserInfo).toBeCalledTimes(3);
+    expect(seatMap.reserveSeats).toBeCalledTimes(1);
+    expect(seatMap.releaseSeats.mock.calls).toEqual([["b1", segment, ["4C"]]]);
+  });
+
+  it("refuses to save invalid passenger details", async () => {
+    BookRepository.mockImplementation(function () {
+      return {
+        getUserInfo: async (username) => ({
+          id: username,
+          user: username,
+          booked: {
+            id: "b1",
+            passengers: 1,
+            legs: [
+              { segments: [{ date: "2025-11-03" }, { date: "2025-11-04" }] },
+            ],
+          },
+          purchased: [],
+        }),
+        createOrUpdateUserInfo: this.createOrUpdateUserInfo,
+      };
+    });
+    const passengerDetails = {
+      validate: jest.fn(() => ({ passengers: [{}], errors: ["wrong"] })),
+    };
+
+    const bookRepository = new BookRepository();
+    const bookService = new BookService(
+      bookRepository,
+      null,
+      null,
+      passengerDetails
+    );
+    await expect(
+      bookService.savePassengerDetails("me", [{ firstName: "Ana" }])
+    ).rejects.toMatchObject({ status: 400, errors: ["wrong"] });
+    expect(passengerDetails.validate).toBeCalledWith(
+      [{ firstName: "Ana" }],
+      1,
+      "2025-11-03",
+      "2025-11-04"
+    );
+    expect(
+      BookRepository.mock.instances[0].createOrUpdateUserInfo
+    ).not.toBeCalled();
+  });
+
+  it("cancels a purchased trip and then refunds it", async () => {
+    const travel = {
+      id: "b1",
+      passengers: 1,
+      legs: [{ price: 100, segments: [] }],
+    };
+    BookRepository.mockImplementation(function () {
+      return {
+        getUserInfo: async (username) =>
+          JSON.parse(
+            JSON.stringify({
+              id: username,
+              user: username,
+              purchased: [travel],
+            })
+          ),
+        createOrUpdateUserInfo: jest.fn(async (userInfo) => {
+          Object.assign(travel, userInfo.purchased[0]);
+        }),
+      };
+    });
+    const seatMap = { releaseSeats: jest.fn(async () => {}) };
+    const fareRules = { getRefund: jest.fn(() => ({ amount: 75 })) };
+
+    const bookRepository = new BookRepository();
+    const bookService = new BookService(
+      bookRepository,
+      null,
+      seatMap,
+      null,
+      fareRules
+    );
+    await expect(bookService.refund("me", "b1")).rejects.toHaveProperty(
+      "status",
+      409
+    );
+    expect(await bookService.cancel("me", "b1")).toEqual({ amount: 75 });
+    expect(fareRules.getRefund).toBeCalledWith(
+      expect.objectContaining({ total: 100 })
+    );
+    expect(seatMap.releaseSeats).toBeCalledWith("b1");
+    expect(travel.status).toBe("cancelled");
+    await expect(bookService.cancel("me", "b1")).rejects.toHaveProperty(
+      "status",
+      409
+    );
+
+    expect(await bookService.refund("me", "b1")).toBe(75);
+    expect(travel.status).toBe("refunded");
+    expect(travel.history.map((h) => h.status)).toEqual([
+      "cancelled",
+      "refunded",
+    ]);
+    await expect(bookService.cancel("me", "b2")).rejects.toHaveProperty(
+      "status",
+      404
+    );
+  });
+
+  it("swaps a leg of a purchased trip keeping its id", async () => {
+    const segment = (flight, date) => ({
+      flight,
+      date,
+      fromCode: "SEA",
+      toCode: "JFK",
+      seats: ["1A"],
+    });
+    const travel = {
+      id: "b1",
+      status: "purchased",
+      passengers: 1,
+      legs: [
+        {
+          price: 100,
+          departDate: "a",
+          segments: [segment("CA1", "2999-01-01")],
+        },
+      ],
+      history: [],
+    };
+    BookRepository.mockImplementation(function () {
+      return {
+        getUserInfo: async (username) =>
+          JSON.parse(
+            JSON.stringify({
+              id: username,
+              user: username,
+              purchased: [travel],
+            })
+          ),
+        createOrUpdateUserInfo: jest.fn(async (userInfo) => {
+          Object.assign(travel, userInfo.purchased[0]);
+        }),
+      };
+    });
+    const seatMap = {
+      getSeatMap: jest.fn(async () => ({})),
+      suggestSeats: jest.fn(() => ["4C"]),
+      reserveSeats: jest.fn(async () => {}),
+      releaseSeats: jest.fn(async () => {}),
+    };
+    const airports = { getByCode: (code) => ({ code, city: code }) };
+    const prices = { getFareDifference: jest.fn(() => 30) };
+
+    const bookRepository = new BookRepository();
+    const bookService = new BookService(
+      bookRepository,
+      airports,
+      seatMap,
+      null,
+      null,
+      prices
+    );
+    const difference = await bookService.changeLeg("me", "b1", 0, {
+      price: 130,
+      departDate: "b",
+      segments: [segment("CA5", "2999-01-02")],
+    });
+    expect(difference).toBe(30);
+    expect(prices.getFareDifference).toBeCalledWith(100, 130, 1);
+    expect(seatMap.releaseSeats).toBeCalledWith(
+      "b1",
+      expect.objectContaining({ flight: "CA1" })
+    );
+    expect(travel.id).toBe("b1");
+    expect(travel.legs[0].segments[0]).toMatchObject({
+      flight: "CA5",
+      seats: ["4C"],
+    });
+    expect(travel.history).toEqual([
+      expect.objectContaining({ status: "changed", amount: 30 }),
+    ]);
+
+    // Seats are reserved once, and given back when the change can't be saved
+    seatMap.reserveSeats.mockClear();
+    seatMap.releaseSeats.mockClear();
+    bookRepository.createOrUpdateUserInfo.mockReset();
+    bookRepository.createOrUpdateUserInfo.mockImplementation(async () => {
+      throw new VersionConflictError();
+    });
+    await expect(
+      bookService.changeLeg("me", "b1", 0, {
+        price: 150,
+        departDate: "c",
+        segments: [segment("CA7", "2999-01-03")],
+      })
+    ).rejects.toHaveProperty("status", 409);
+    expect(bookRepository.createOrUpdateUserInfo).toBeCalledTimes(3);
+    expect(seatMap.reserveSeats).toBeCalledTimes(1);
+    expect(seatMap.releaseSeats.mock.calls).toEqual([
+      ["b1", expect.objectContaining({ flight: "CA7" })],
+    ]);
+    expect(travel.legs[0].segments[0].flight).toBe("CA5");
+  });
+
+  it("only purchases the hold with the id it is given", async () => {
+    BookRepository.mockImplementation(function () {
+      return {
+        getUserInfo: async (username) => ({
+          id: username,
+          user: username,
+          booked: { id: "b2", passengers: 1, passengerDetails: [{}] },
+          purchased: [],
+        }),
+        createOrUpdateUserInfo: this.createOrUpdateUserInfo,
+      };
+    });
+
+    const bookRepository = new BookRepository();
+    const bookService = new BookService(bookRepository, null);
+    await expect(bookService.purchase("me", "b1")).rejects.toHaveProperty(
+      "status",
+      404
+    );
+    expect(
+      BookRepository.mock.instances[0].createOrUpdateUserInfo
+    ).not.toBeCalled();
+    expect(await bookService.purchase("me", "b2")).toBe("b2");
+  });
+
+  it("refuses to purchase a hold without passenger details", async () => {
+    BookRepository.mockImplementation(function () {
+      return {
+        getUserInfo: async (username) => ({
+          id: username,
+          user: username,
+          booked: {
+            id: "b1",
+            passengers: 2,
+            passengerDetails: [{ firstName: "Ana" }],
+            legs: [{ segments: [{ seats: ["4A", "4B"] }] }],
+          },
+          purchased: [],
+        }),
+        createOrUpdateUserInfo: this.createOrUpdateUserInfo,
+      };
+    });
+
+    const bookRepository = new BookRepository();
+    const bookService = new BookService(bookRepository, null);
+    await expect(bookService.purchase("me")).rejects.toHaveProperty(
+      "status",
+      409
+    );
+    expect(
+      BookRepository.mock.instances[0].createOrUpdateUserInfo
+    ).not.toBeCalled();
+  });
+
+  it("refuses to purchase an expired hold", async () => {
+    BookRepository.mockImplementation(function () {
+      return {
+        getUserInfo: async (username) => ({
+          id: username,
+          user: username,
+          booked: { id: "b1", expiresAt: "2025-11-03T08:00:00.000Z" },
+          purchased: [],
+        }),
+        createOrUpdateUserInfo: this.createOrUpdateUserInfo,
+      };
+    });
+
+    const bookRepository = new BookRepository();
+    const bookService = new BookService(bookRepository, null);
+    await expect(bookService.purchase("me")).rejects.toHaveProperty(
+      "status",
+      410
+    );
+    expect(
+      BookRepository.mock.instances[0].createOrUpdateUserInfo
+    ).not.toBeCalled();
+  });
+
+  it("refuses to book for a number of passengers out of range", async () => {
+    BookRepository.mockImplementation(function () {
+      return {
+        getUserInfo: async (username) => ({ user: username, purchased: [] }),
+        reserveLocator: jest.fn(async () => true),
+        createOrUpdateUserInfo: this.createOrUpdateUserInfo,
+      };
+    });
+
+    const bookRepository = new BookRepository();
+    const bookService = new BookService(bookRepository, null);
+    for (const passengers of ["0", "100000000", "1.5", "many", undefined]) {
+      await expect(
+        bookService.bookFlight("me", [], passengers, "oneway")
+      ).rejects.toHaveProperty("status", 400);
+    }
+    expect(bookRepository.reserveLocator).not.toBeCalled();
+
+    await bookService.bookFlight("me", [], "2", "oneway");
+    const saved =
+      BookRepository.mock.instances[0].createOrUpdateUserInfo.mock.calls[0][0];
+    expect(saved.booked.passengers).toBe(2);
+  });
+
+  it("books with a record locator that is not taken yet", async () => {
+    BookRepository.mockImplementation(function () {
+      return {
+        getUserInfo: async (username) => ({ user: username, purchased: [] }),
+        reserveLocator: jest
+          .fn()
+          .mockResolvedValueOnce(false)
+          .mockResolvedValueOnce(true),
+        createOrUpdateUserInfo: this.createOrUpdateUserInfo,
+      };
+    });
+
+    const bookRepository = new BookRepository();
+    const bookService = new BookService(bookRepository, null);
+    const id = await bookService.bookFlight("me", [], 1, "oneway");
+    expect(id).toMatch(/^[A-HJ-NP-Z2-9]{6}$/);
+    expect(bookRepository.reserveLocator).toBeCalledTimes(2);
+    expect(bookRepository.reserveLocator).toHaveBeenLastCalledWith(id);
+  });
+
+  it("finds a trip by its locator and a passenger last name", async () => {
+    BookRepository.mockImplementation(function () {
+      return {
+        findByLocator: async () => ({
+          user: "me",
+          purchased: [
+            {
+              id: "ABC234",
+              passengers: 1,
+              passengerDetails: [{ lastName: "O'Neil" }],
+              legs: [{ price: 100, segments: [] }],
+            },
+          ],
+        }),
+      };
+    });
+
+    const bookRepository = new BookRepository();
+    const bookService = new BookService(bookRepository, null);
+    const trip = await bookService.findByLocator(" o'neil ", "abc234");
+    expect(trip).toMatchObject({ id: "ABC234", total: 100 });
+    expect(await bookService.findByLocator("Smith", "ABC234")).toBeNull();
+  });
+
+  describe("with concurrent changes", () => {
+    const held = (id) => ({
+      id,
+      passengers: 1,
+      passengerDetails: [{ firstName: "Ana" }],
+      legs: [{ price: 100, segments: [] }],
+      status: "held",
+      expiresAt: new Date(Date.now() + 60000).toJSON(),
+    });
+
+    const createService = async (userInfo) => {
+      const repo = new BookMemoryRepository(new MemoryStore());
+      await repo.createOrUpdateUserInfo(userInfo);
+      const seatMap = { releaseSeats: jest.fn(async () => {}) };
+      const fareRules = { getRefund: () => ({ amount: 50 }) };
+      return {
+        repo,
+        seatMap,
+        bookService: new BookService(repo, null, seatMap, null, fareRules),
+      };
+    };
+
+    it("purchases a held trip only once", async () => {
+      const { repo, bookService } = await createService({
+        user: "me",
+        booked: held("ABC234"),
+        purchased: [],
+      });
+
+      const results = await Promise.all([
+        bookService.purchase("me"),
+        bookService.purchase("me"),
+      ]);
+      expect(results.sort()).toEqual(["ABC234", null]);
+      const userInfo = await repo.getUserInfo("me");
+      expect(userInfo.booked).toBeNull();
+      expect(userInfo.purchased.map((t) => t.id)).toEqual(["ABC234"]);
+    });
+
+    it("keeps every trip when purchasing, cancelling and booking at once", async () => {
+      const { repo, seatMap, bookService } = await createService({
+        user: "me",
+        booked: held("ABC234"),
+        purchased: [Object.assign(held("DEF567"), { status: "purchased" })],
+      });
+      jest.spyOn(repo, "createOrUpdateUserInfo");
+
+      const [purchased, , booked] = await Promise.all([
+        bookService.purchase("me"),
+        bookService.cancel("me", "DEF567"),
+        bookService.bookFlight("me", [], 1, "oneway"),
+      ]);
+      expect(repo.createOrUpdateUserInfo.mock.calls.length).toBeGreaterThan(3);
+
+      const userInfo = await repo.getUserInfo("me");
+      const status = userInfo.purchased.map((t) => [t.id, t.status]);
+      expect(status).toEqual(
+        expect.arrayContaining([
+          ["DEF567", "cancelled"],
+          ["ABC234", "purchased"],
+        ])
+      );
+      expect(purchased).toBe("ABC234");
+      expect(userInfo.booked.id).toBe(booked);
+      // The hold was purchased before it could be replaced
+      expect(seatMap.releaseSeats).not.toBeCalledWith("ABC234");
+    });
+
+    it("gives up when the user info keeps changing", async () => {
+      const { repo, bookService } = await createService({
+        user: "me",
+        booked: held("ABC234"),
+        purchased: [],
+      });
+      jest
+        .spyOn(repo, "createOrUpdateUserInfo")
+        .mockRejectedValue(new VersionConflictError());
+
+      await expect(bookService.purchase("me")).rejects.toHaveProperty(
+        "status",
+        409
+      );
+      expect(repo.createOrUpdateUserInfo).toBeCalledTimes(3);
+    });
+
+    it("keeps the seats of a trip it could not cancel", async () => {
+      const { repo, seatMap, bookService } = await createService({
+        user: "me",
+        purchased: [Object.assign(held("DEF567"), { status: "purchased" })],
+      });
+      jest
+        .spyOn(repo, "createOrUpdateUserInfo")
+        .mockRejectedValue(new VersionConflictError());
+
+      await expect(bookService.cancel("me", "DEF567")).rejects.toHaveProperty(
+        "status",
+        409
+      );
+      expect(seatMap.releaseSeats).not.toBeCalled();
+    });
+
+    it("reserves one locator however often booking is retried", async () => {
+      const { repo, bookService } = await createService({
+        user: "me",
+        purchased: [],
+      });
+      jest
+        .spyOn(repo, "createOrUpdateUserInfo")
+        .mockRejectedValueOnce(new VersionConflictError());
+      jest.spyOn(repo, "reserveLocator");
+
+      const id = await bookService.bookFlight("me", [], 1, "oneway");
+      expect(repo.createOrUpdateUserInfo).toBeCalledTimes(2);
+      expect(repo.reserveLocator.mock.calls).toEqual([[id]]);
+    });
+  });
+
+  describe("for staff", () => {
+    const trip = (id, lastName, status) => ({
+      id,
+      passengers: 1,
+      passengerDetails: [{ firstName: "Ana", lastName }],
+      legs: [{ fromCode: "SEA", toCode: "BCN", price: 100, segments: [] }],
+      status,
+    });
+
+    const createService = async () => {
+      const repo = new BookMemoryRepository(new MemoryStore());
+      await repo.createOrUpdateUserInfo({
+        user: "alice",
+        booked: Object.assign(trip("HLD234", "Lopez", "held"), {
+          expiresAt: "2025-01-01T00:00:00.000Z",
+        }),
+        purchased: [trip("ABC234", "Lopez", "purchased")],
+      });
+      await repo.createOrUpdateUserInfo({
+        user: "bob",
+        booked: null,
+        purchased: [trip("DEF567", "Smith", "purchased")],
+      });
+      const seatMap = { releaseSeats: jest.fn(async () => {}) };
+      return { seatMap, bookService: new BookService(repo, null, seatMap) };
+    };
+
+    it("finds bookings of any user", async () => {
+      const { bookService } = await createService();
+
+      const ids = async (text) =>
+        (await bookService.searchBookings(text)).map((t) => [t.user, t.id]);
+      expect(await ids("def567")).toEqual([["bob", "DEF567"]]);
+      expect(await ids("smith")).toEqual([["bob", "DEF567"]]);
+      expect(await ids("ALI")).toEqual([
+        ["alice", "HLD234"],
+        ["alice", "ABC234"],
+      ]);
+      expect(await ids(" ")).toEqual([]);
+    });
+
+    it("shows expired holds and releases them", async () => {
+      const { seatMap, bookService } = await createService();
+
+      const { booked, purchased } = await bookService.getUserBookings("alice");
+      expect(booked).toMatchObject({ id: "HLD234", expired: true, total: 100 });
+      expect(purchased.map((t) => t.id)).toEqual(["ABC234"]);
+
+      expect(await bookService.releaseHold("alice")).toBe("HLD234");
+      expect(seatMap.releaseSeats).toBeCalledWith("HLD234");
+      expect((await bookService.getUserBookings("alice")).booked).toBeNull();
+      expect(await bookService.releaseHold("alice")).toBeNull();
+    });
+  });
 });
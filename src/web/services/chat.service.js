@@ -1,12 +1,115 @@
 const axios = require('axios');
+const crypto = require('crypto');
+const moment = require('moment');
 const chatConfig = require('../config/chat.config');
+const BookFormService = require('./book.form.service');
+
+const { tripTypes, maxLegs, maxPassengers } = BookFormService;
+
+const airportCode = { type: 'string', description: 'IATA code of an airport, like SEA' };
+
+// Tools the model may call, in the format of the chat completions API
+const tools = {
+    search_flights: {
+        description: 'Search the Contoso Air flights between two airports on a day, cheapest first',
+        parameters: {
+            type: 'object',
+            properties: {
+                fromCode: airportCode,
+                toCode: airportCode,
+                date: { type: 'string', description: 'Day of the flight, as YYYY-MM-DD' },
+                maxStops: { type: 'integer', minimum: 0, description: 'Most connections the flights may have' },
+                sort: { enum: ['price', 'duration', 'departure'] }
+            },
+            required: ['fromCode', 'toCode', 'date']
+        }
+    },
+    get_airport: {
+        description: 'Name, city and country of an airport',
+        parameters: {
+            type: 'object',
+            properties: { code: airportCode },
+            required: ['code']
+        }
+    },
+    get_flight_deals: {
+        description: 'The cheapest flight deals of Contoso Air',
+        parameters: {
+            type: 'object',
+            properties: {
+                count: { type: 'integer', minimum: 1, maximum: 20, description: 'How many deals, 5 by default' }
+            }
+        }
+    },
+    list_my_bookings: {
+        description: 'Trips the logged in customer purchased',
+        parameters: { type: 'object', properties: {} }
+    },
+    propose_booking: {
+        description: 'Propose to hold a trip for the logged in customer. Nothing is booked until they confirm it in the chat window, then they purchase it on the website.',
+        parameters: {
+            type: 'object',
+            properties: {
+                legs: {
+                    type: 'array',
+                    minItems: 1,
+                    maxItems: maxLegs,
+                    items: {
+                        type: 'object',
+                        properties: {
+                            fromCode: airportCode,
+                            toCode: airportCode,
+                            date: { type: 'string', description: 'Day of the flight, as YYYY-MM-DD' },
+                            flight: { type: 'string', description: 'id of a flight found by search_flights' }
+                        },
+                        required: ['fromCode', 'toCode', 'date', 'flight']
+                    }
+                },
+                passengers: { type: 'integer', minimum: 1, maximum: maxPassengers }
+            },
+            required: ['legs', 'passengers']
+        }
+    }
+};
+
+// Flights found for a tool call, at most this many
+const maxFlights = 5;
+
+// Minutes a customer has to confirm a proposed trip
+const proposalMinutes = 15;
+
+const parseDay = function (date) {
+    const day = moment.utc(date, 'YYYY-MM-DD', true);
+    if (!day.isValid()) {
+        throw new Error(`${date} is not a date like 2026-12-07`);
+    }
+    return day;
+};
+
+const getTripType = function (legs) {
+    if (legs.length === 1) {
+        return tripTypes.oneWay;
+    }
+    const [first, second] = legs;
+    const returns = legs.length === 2 && first.fromCode === second.toCode && first.toCode === second.fromCode;
+    return returns ? tripTypes.roundTrip : tripTypes.multiCity;
+};
 
 /**
  * Chat Service - Handles chat/completions API requests
  * Manages conversation history and system prompts for AI assistant
  */
 class ChatService {
-    constructor() {
+    /**
+     * @param {Object} services - Services backing the tools of the assistant:
+     * flights, airports, deals and bookings. Tools without theirs are left out.
+     */
+    constructor(services = {}) {
+        this.flightsService = services.flights;
+        this.airportsService = services.airports;
+        this.dealsService = services.deals;
+        this.bookService = services.bookings;
+
         // Load configuration
         this.config = chatConfig;
         this.apiEndpoint = this.config.api.endpoint;
@@ -16,6 +119,16 @@ class ChatService {
         
         // Conversation history storage (in production, this should be persistent)
         this.conversations = new Map();
+
+        // Users the conversations belong to, by session
+        this.owners = new Map();
+
+        // Generations being streamed, by session, so they can be cancelled
+        this.generations = new Map();
+
+        // Trips proposed by the assistant, by id, until the customer confirms
+        // them or they expire
+        this.proposals = new Map();
     }
 
     /**
@@ -30,6 +143,30 @@ class ChatService {
         return this.conversations.get(sessionId);
     }
 
+    /**
+     * Whether a user may use a conversation. A conversation belongs to the
+     * first logged in user sending a message in it, as it can hold their
+     * bookings, until it is cleared
+     * @param {string} sessionId - Unique session identifier
+     * @param {string} username - Logged in user, if any
+     * @returns {boolean} Whether the conversation is theirs or nobody's
+     */
+    ownsConversation(sessionId, username) {
+        const owner = this.owners.get(sessionId);
+        return !owner || owner === username;
+    }
+
+    /**
+     * Give a conversation to the logged in user sending a message in it
+     * @param {string} sessionId - Unique session identifier
+     * @param {string} username - Logged in user, if any
+     */
+    claimConversation(sessionId, username) {
+        if (username && !this.owners.has(sessionId)) {
+            this.owners.set(sessionId, username);
+        }
+    }
+
     /**
      * Add message to conversation history
      * @param {string} sessionId - Unique session identifier
@@ -44,6 +181,11 @@ class ChatService {
         if (history.length > maxMessages) {
             history.splice(0, history.length - maxMessages);
         }
+
+        // Tool results can't be sent without the call they answer
+        while (history.length && history[0].role === 'tool') {
+            history.shift();
+        }
     }
 
     /**
@@ -75,6 +217,19 @@ class ChatService {
         };
     }
 
+    /**
+     * Context of the system prompt answering a message
+     * @param {string} userMessage - User's input message
+     * @param {string} context - Context asked for
+     * @returns {string} Context type
+     */
+    getContext(userMessage, context = 'travel') {
+        if (userMessage.toLowerCase().includes("available flight")) {
+            return "booking"
+        }
+        return context
+    }
+
     /**
      * Create chat/completions API request payload
      * @param {string} userMessage - User's input message
@@ -83,6 +238,29 @@ class ChatService {
      * @returns {Object} API request payload
      */
     createChatRequest(userMessage, sessionId, options = {}) {
+        this.claimConversation(sessionId, options.username);
+
+        const calculatedContext = this.getContext(userMessage, options.context);
+        
+        // Store user message in conversation history
+        this.addToConversation(sessionId, {
+            role: 'user',
+            content: userMessage.trim()
+        });
+
+        return this.createFollowUpRequest(sessionId, Object.assign({}, options, {
+            context: calculatedContext
+        }));
+    }
+
+    /**
+     * Create the request payload answering the conversation as it is, like
+     * after the results of the tools the model called were added
+     * @param {string} sessionId - Unique session identifier
+     * @param {Object} options - Additional options
+     * @returns {Object} API request payload
+     */
+    createFollowUpRequest(sessionId, options = {}) {
         const {
             context = 'travel',
             userInfo = {},
@@ -93,32 +271,22 @@ class ChatService {
 
         // Build messages array
         const messages = [];
-        let calculatedContext = context
-        if (userMessage.toLowerCase().includes("available flight")) {
-            calculatedContext = "booking"
-        }
 
         // Add system prompt
-        messages.push(this.buildSystemPrompt(calculatedContext, userInfo));
+        messages.push(this.buildSystemPrompt(context, userInfo));
         
-        // Add conversation history if requested
+        // Add conversation history if requested, the current message and the
+        // tool calls it led to otherwise
+        const history = this.getConversationHistory(sessionId);
         if (includeHistory) {
-            const history = this.getConversationHistory(sessionId);
             messages.push(...history);
+        } else {
+            const lastUserMessage = history.map(msg => msg.role).lastIndexOf('user');
+            messages.push(...history.slice(Math.max(lastUserMessage, 0)));
         }
-        
-        // Add current user message
-        const userMsg = {
-            role: 'user',
-            content: userMessage.trim()
-        };
-        messages.push(userMsg);
-        
-        // Store user message in conversation history
-        this.addToConversation(sessionId, userMsg);
 
         // Create the API request payload
-        return {
+        const requestPayload = {
             index_name: "contosoair",
             model: this.model,
             messages: messages,
@@ -128,6 +296,259 @@ class ChatService {
             frequency_penalty: 0,
             presence_penalty: 0
         };
+
+        const toolNames = this.getToolNames(options);
+        if (toolNames.length) {
+            requestPayload.tools = toolNames.map(name => ({
+                type: 'function',
+                function: Object.assign({ name }, tools[name])
+            }));
+        }
+        return requestPayload;
+    }
+
+    /**
+     * Names of the tools the model may call
+     * @param {Object} options - Options of the message, username is set when
+     * the customer is logged in
+     * @returns {Array} Tool names
+     */
+    getToolNames(options = {}) {
+        if (!this.config.features.toolCalling) {
+            return [];
+        }
+        const available = {
+            search_flights: this.flightsService && this.airportsService,
+            get_airport: this.airportsService,
+            get_flight_deals: this.dealsService,
+            list_my_bookings: this.bookService && options.username,
+            propose_booking: this.bookService && this.flightsService && this.airportsService && options.username
+        };
+        return Object.keys(tools).filter(name => available[name]);
+    }
+
+    /**
+     * Search flights for the model
+     * @param {Object} args - fromCode, toCode, date, maxStops and sort
+     * @returns {Array} The first flights found
+     */
+    searchFlights({ fromCode, toCode, date, maxStops, sort = 'price' }) {
+        const day = parseDay(date);
+        const [from, to] = [fromCode, toCode].map(code => this.getAirport({ code }).code);
+
+        const stops = maxStops == null ? [] : [0, 1, 2].filter(n => n <= maxStops);
+        return this.flightsService
+            .getFlights(from, to, day, { stops, sort })
+            .slice(0, maxFlights)
+            .map(flight => ({
+                id: flight.id,
+                departDate: flight.departDate,
+                duration: flight.duration,
+                stops: flight.stops,
+                price: flight.price,
+                segments: flight.segments.map(segment => ({
+                    flight: segment.flight,
+                    fromCode: segment.fromCode,
+                    toCode: segment.toCode,
+                    departTime: segment.departTime,
+                    arrivalTime: segment.arrivalTime
+                }))
+            }));
+    }
+
+    /**
+     * Look an airport up for the model
+     * @param {Object} args - code of the airport
+     * @returns {Object} The airport
+     */
+    getAirport({ code }) {
+        const airport = this.airportsService.getByCode(String(code || '').toUpperCase());
+        if (!airport.code) {
+            throw new Error(`There is no airport ${code}`);
+        }
+        return airport;
+    }
+
+    /**
+     * Flight deals for the model
+     * @param {Object} args - count of deals
+     * @returns {Array} The cheapest deals
+     */
+    getFlightDeals({ count = 5 }) {
+        return this.dealsService.getFlightDeals(count);
+    }
+
+    /**
+     * Trips of the logged in customer for the model
+     * @param {Object} args - No arguments
+     * @param {Object} options - Options of the message, with the username
+     * @returns {Promise<Array>} Purchased trips
+     */
+    async listMyBookings(args, { username }) {
+        const trips = await this.bookService.getFlights(username);
+        return trips.map(trip => ({
+            id: trip.id,
+            status: trip.status,
+            tripType: trip.tripType,
+            passengers: trip.passengers,
+            total: trip.total,
+            legs: trip.legs.map(leg => ({
+                fromCode: leg.fromCode,
+                toCode: leg.toCode,
+                departDate: leg.departDate
+            }))
+        }));
+    }
+
+    /**
+     * Propose a trip to the logged in customer. The model can't book it, only
+     * the customer can, by confirming it with confirmProposal.
+     * @param {Object} args - legs, each with the flight found for it, and
+     * passengers
+     * @param {Object} options - Options of the message, with the username,
+     * the sessionId and onProposal called with the proposal to show
+     * @returns {Object} What the model is told about the proposal
+     */
+    proposeBooking({ legs, passengers }, options) {
+        if (!Array.isArray(legs) || !legs.length || legs.length > maxLegs) {
+            throw new Error(`A trip has 1 to ${maxLegs} legs`);
+        }
+        if (!Number.isInteger(passengers) || passengers < 1 || passengers > maxPassengers) {
+            throw new Error(`A trip is for 1 to ${maxPassengers} passengers`);
+        }
+        legs = legs.map(leg => Object.assign({}, leg, {
+            fromCode: this.getAirport({ code: leg.fromCode }).code,
+            toCode: this.getAirport({ code: leg.toCode }).code
+        }));
+        const flights = legs.map(leg => {
+            const flight = this.flightsService.getFlightById(leg.fromCode, leg.toCode, parseDay(leg.date), leg.flight);
+            if (!flight) {
+                throw new Error(`There is no flight ${leg.flight} from ${leg.fromCode} to ${leg.toCode} on ${leg.date}`);
+            }
+            return flight;
+        });
+
+        const now = new Date();
+        this.proposals.forEach((proposal, id) => {
+            if (proposal.expiresAt <= now) {
+                this.proposals.delete(id);
+            }
+        });
+        const proposal = {
+            id: crypto.randomUUID(),
+            sessionId: options.sessionId,
+            username: options.username,
+            tripType: getTripType(legs),
+            passengers,
+            flights,
+            expiresAt: new Date(now.getTime() + proposalMinutes * 60000)
+        };
+        this.proposals.set(proposal.id, proposal);
+
+        const summary = {
+            id: proposal.id,
+            tripType: proposal.tripType,
+            passengers,
+            legs: flights.map(flight => ({
+                flight: flight.id,
+                fromCode: flight.segments[0].fromCode,
+                toCode: flight.segments[flight.segments.length - 1].toCode,
+                departDate: flight.departDate,
+                departTime: flight.segments[0].departTime,
+                price: flight.price
+            })),
+            total: flights.reduce((sum, flight) => sum + flight.price, 0) * passengers,
+            expiresAt: proposal.expiresAt.toJSON()
+        };
+        if (options.onProposal) {
+            options.onProposal(summary);
+        }
+        return Object.assign({}, summary, {
+            status: 'Waiting for the customer to confirm it in the chat window. It is not booked until they do.'
+        });
+    }
+
+    /**
+     * Hold the trip of a proposal the customer confirmed, replacing the trip
+     * they held before. Proposals can only be confirmed once, by the customer
+     * they were made to.
+     * @param {string} id - Proposal id
+     * @param {string} username - Customer confirming it
+     * @param {Date} now - Current time
+     * @returns {Promise<string|null>} Id of the held booking, or null when
+     * there is no such proposal for the customer
+     */
+    async confirmProposal(id, username, now = new Date()) {
+        const proposal = this.proposals.get(id);
+        if (!proposal || proposal.username !== username || proposal.expiresAt <= now) {
+            return null;
+        }
+        this.proposals.delete(id);
+        const bookingId = await this.bookService.bookFlight(
+            username,
+            proposal.flights,
+            proposal.passengers,
+            proposal.tripType
+        );
+
+        // Let the assistant know in the rest of the conversation
+        if (proposal.sessionId) {
+            this.addToConversation(proposal.sessionId, {
+                role: 'assistant',
+                content: `The customer confirmed the trip. It is held as booking ${bookingId} until they purchase it at /book/purchase.`
+            });
+        }
+        return bookingId;
+    }
+
+    /**
+     * Run a tool the model called. Failures are told to the model, so it can
+     * try again or explain them.
+     * @param {Object} toolCall - Tool call of an assistant message
+     * @param {Object} options - Options of the message
+     * @returns {Promise<Object>} Tool message with the result
+     */
+    async runToolCall(toolCall, options = {}) {
+        const runners = {
+            search_flights: args => this.searchFlights(args),
+            get_airport: args => this.getAirport(args),
+            get_flight_deals: args => this.getFlightDeals(args),
+            list_my_bookings: args => this.listMyBookings(args, options),
+            propose_booking: args => this.proposeBooking(args, options)
+        };
+        const name = toolCall.function?.name;
+        let result;
+        try {
+            if (!this.getToolNames(options).includes(name)) {
+                throw new Error(`There is no tool ${name}`);
+            }
+            result = await runners[name](JSON.parse(toolCall.function.arguments || '{}'));
+        } catch (error) {
+            result = { error: error.message };
+        }
+        return {
+            role: 'tool',
+            tool_call_id: toolCall.id,
+            content: JSON.stringify(result)
+        };
+    }
+
+    /**
+     * Keep the tool calls of an assistant message and their results in the
+     * conversation history
+     * @param {string} sessionId - Unique session identifier
+     * @param {Object} assistantMessage - Message with tool_calls
+     * @param {Object} options - Options of the message
+     */
+    async runToolCalls(sessionId, assistantMessage, options = {}) {
+        this.addToConversation(sessionId, {
+            role: 'assistant',
+            content: assistantMessage.content || null,
+            tool_calls: assistantMessage.tool_calls
+        });
+        for (const toolCall of assistantMessage.tool_calls) {
+            this.addToConversation(sessionId, await this.runToolCall(toolCall, Object.assign({}, options, { sessionId })));
+        }
     }
 
     /**
@@ -137,9 +558,8 @@ class ChatService {
      */
     async sendChatRequest(requestPayload) {
         try {
-            console.log('Sending request to:', this.apiEndpoint);
-            console.log('Request payload:', JSON.stringify(requestPayload, null, 2));
-            
+            // The payload and answer are not logged, they hold the
+            // conversation and the bookings tools looked up
             const response = await axios.post(this.apiEndpoint, requestPayload, {
                 headers: {
                     'Content-Type': 'application/json',
@@ -147,8 +567,6 @@ class ChatService {
                 timeout: this.config.api.timeout
             });
 
-            console.log(response.data)
-
             return {
                 success: true,
                 data: response.data
@@ -199,24 +617,48 @@ class ChatService {
         }
 
         try {
+            // Trips the assistant proposes are sent along with its answer
+            const proposals = [];
+            const messageOptions = Object.assign({}, options, {
+                context: this.getContext(userMessage, options.context),
+                onProposal: proposal => proposals.push(proposal)
+            });
+
             // Create the chat request
-            const requestPayload = this.createChatRequest(userMessage, sessionId, options);
-            
-            // Send to API
-            const response = await this.sendChatRequest(requestPayload);
-            
-            if (!response.success) {
-                return response;
-            }
+            let requestPayload = this.createChatRequest(userMessage, sessionId, messageOptions);
+            let response;
+            let assistantMessage;
 
-            // Extract assistant response
-            const assistantMessage = response.data.choices?.[0]?.message;
-            
-            if (!assistantMessage) {
-                return {
-                    success: false,
-                    error: 'Invalid response format from chat API'
-                };
+            // Run the tools the model calls until it answers
+            for (let round = 0; ; round++) {
+                // Send to API
+                response = await this.sendChatRequest(requestPayload);
+                
+                if (!response.success) {
+                    return response;
+                }
+
+                // Extract assistant response
+                assistantMessage = response.data.choices?.[0]?.message;
+                
+                if (!assistantMessage) {
+                    return {
+                        success: false,
+                        error: 'Invalid response format from chat API'
+                    };
+                }
+
+                if (!assistantMessage.tool_calls?.length) {
+                    break;
+                }
+                if (round >= this.config.chat.maxToolRounds) {
+                    return {
+                        success: false,
+                        error: 'The chat API kept calling tools without answering'
+                    };
+                }
+                await this.runToolCalls(sessionId, assistantMessage, messageOptions);
+                requestPayload = this.createFollowUpRequest(sessionId, messageOptions);
             }
 
             // Store assistant response in conversation history
@@ -225,6 +667,7 @@ class ChatService {
             return {
                 success: true,
                 message: assistantMessage.content,
+                proposals,
                 usage: response.data.usage,
                 model: response.data.model,
                 conversationLength: this.getConversationHistory(sessionId).length
@@ -239,12 +682,192 @@ class ChatService {
         }
     }
 
+    /**
+     * Read the server-sent events of a streamed completion
+     * @param {Stream} stream - Response body of the chat API
+     * @param {Function} onChunk - Called with each completion chunk
+     * @returns {Promise<void>} Resolves once the completion is done
+     */
+    async readCompletionStream(stream, onChunk) {
+        stream.setEncoding('utf8');
+        let buffered = '';
+        for await (const text of stream) {
+            buffered += text;
+            const lines = buffered.split('\n');
+            // The last line may not be complete yet
+            buffered = lines.pop();
+            for (const line of lines) {
+                if (!line.startsWith('data:')) continue;
+                const data = line.slice(5).trim();
+                if (data === '[DONE]') return;
+                onChunk(JSON.parse(data));
+            }
+        }
+    }
+
+    /**
+     * Send a chat request and stream its completion
+     * @param {Object} requestPayload - Chat completion request payload
+     * @param {AbortSignal} signal - Cancels the request
+     * @param {Function} onDelta - Called with each piece of the response
+     * @param {Object} completion - Filled with the content, tool_calls, usage
+     * and model of the completion as they come, so what came before a
+     * cancellation is kept
+     * @returns {Promise<Object>} The completion
+     */
+    async streamCompletion(requestPayload, signal, onDelta, completion = {}) {
+        Object.assign(completion, { content: '', tool_calls: [] });
+        const response = await axios.post(this.apiEndpoint, Object.assign({}, requestPayload, { stream: true }), {
+            headers: {
+                'Content-Type': 'application/json',
+            },
+            timeout: this.config.api.timeout,
+            responseType: 'stream',
+            signal
+        });
+
+        await this.readCompletionStream(response.data, (chunk) => {
+            const delta = chunk.choices?.[0]?.delta || {};
+            if (delta.content) {
+                completion.content += delta.content;
+                onDelta(delta.content);
+            }
+            // Tool calls come in pieces too, by index
+            (delta.tool_calls || []).forEach((piece) => {
+                const toolCall = completion.tool_calls[piece.index] = completion.tool_calls[piece.index] ||
+                    { id: '', type: 'function', function: { name: '', arguments: '' } };
+                toolCall.id = piece.id || toolCall.id;
+                toolCall.function.name += piece.function?.name || '';
+                toolCall.function.arguments += piece.function?.arguments || '';
+            });
+            completion.usage = chunk.usage || completion.usage;
+            completion.model = chunk.model || completion.model;
+        });
+        return completion;
+    }
+
+    /**
+     * Process user message and stream the AI response as it is generated,
+     * running the tools the model calls along the way. Whatever was generated
+     * is kept in the conversation history, even when the generation is
+     * cancelled.
+     * @param {string} userMessage - User's input message
+     * @param {string} sessionId - Unique session identifier
+     * @param {Object} options - Options of processMessage, plus onDelta called
+     * with each piece of the response, onToolCall with each tool call before
+     * it runs, onProposal with each trip proposed and signal to cancel the
+     * generation
+     * @returns {Promise<Object>} Processed response, cancelled tells whether
+     * the generation was cut short
+     */
+    async streamMessage(userMessage, sessionId, options = {}) {
+        if (!userMessage || !userMessage.trim()) {
+            return {
+                success: false,
+                error: 'Message cannot be empty'
+            };
+        }
+
+        if (!sessionId) {
+            return {
+                success: false,
+                error: 'Session ID is required'
+            };
+        }
+
+        const { onDelta = () => {}, onToolCall = () => {}, signal, ...messageOptions } = options;
+        messageOptions.context = this.getContext(userMessage, messageOptions.context);
+
+        // A session generates one response at a time
+        this.cancelGeneration(sessionId);
+        const controller = new AbortController();
+        this.generations.set(sessionId, controller);
+        if (signal) {
+            if (signal.aborted) controller.abort();
+            signal.addEventListener('abort', () => controller.abort());
+        }
+
+        let message = '';
+        const completion = {};
+        try {
+            let requestPayload = this.createChatRequest(userMessage, sessionId, messageOptions);
+
+            // Run the tools the model calls until it answers
+            for (let round = 0; ; round++) {
+                await this.streamCompletion(requestPayload, controller.signal, (delta) => {
+                    message += delta;
+                    onDelta(delta);
+                }, completion);
+
+                if (!completion.tool_calls.length) {
+                    break;
+                }
+                if (round >= this.config.chat.maxToolRounds) {
+                    return {
+                        success: false,
+                        error: 'The chat API kept calling tools without answering'
+                    };
+                }
+                completion.tool_calls.forEach((toolCall) => onToolCall(toolCall));
+                await this.runToolCalls(sessionId, completion, messageOptions);
+                if (controller.signal.aborted) {
+                    completion.content = '';
+                    break;
+                }
+                requestPayload = this.createFollowUpRequest(sessionId, messageOptions);
+            }
+        } catch (error) {
+            if (!controller.signal.aborted) {
+                console.error('Chat API Error:', error.message);
+                return {
+                    success: false,
+                    error: error.response
+                        ? `API Error: ${error.response.status} - ${error.response.statusText}`
+                        : 'Network error: Unable to reach chat API service'
+                };
+            }
+        } finally {
+            if (this.generations.get(sessionId) === controller) {
+                this.generations.delete(sessionId);
+            }
+        }
+
+        if (completion.content) {
+            this.addToConversation(sessionId, { role: 'assistant', content: completion.content });
+        }
+
+        return {
+            success: true,
+            message,
+            cancelled: controller.signal.aborted,
+            usage: completion.usage,
+            model: completion.model,
+            conversationLength: this.getConversationHistory(sessionId).length
+        };
+    }
+
+    /**
+     * Cancel the response being streamed for a session
+     * @param {string} sessionId - Session ID
+     * @returns {boolean} Whether a response was being streamed
+     */
+    cancelGeneration(sessionId) {
+        const controller = this.generations.get(sessionId);
+        if (!controller) {
+            return false;
+        }
+        this.generations.delete(sessionId);
+        controller.abort();
+        return true;
+    }
+
     /**
      * Clear conversation history for a session
      * @param {string} sessionId - Session to clear
      */
     clearConversation(sessionId) {
         this.conversations.delete(sessionId);
+        this.owners.delete(sessionId);
     }
 
     /**
@@ -256,11 +879,13 @@ class ChatService {
         const history = this.getConversationHistory(sessionId);
         const userMessages = history.filter(msg => msg.role === 'user').length;
         const assistantMessages = history.filter(msg => msg.role === 'assistant').length;
+        const toolCalls = history.filter(msg => msg.role === 'tool').length;
         
         return {
             totalMessages: history.length,
             userMessages,
             assistantMessages,
+            toolCalls,
             sessionId
         };
     }
@@ -0,0 +1,389 @@
+const { PassThrough } = require("stream");
+const axios = require("axios");
+const ChatService = require("./chat.service");
+
+jest.mock("axios");
+
+const event = (data) => `data: ${JSON.stringify(data)}\n\n`;
+const delta = (content) =>
+  event({ model: "test-model", choices: [{ delta: { content } }] });
+
+// The chat API answers with a stream the test writes the events to
+const mockStream = function () {
+  const stream = new PassThrough();
+  axios.post.mockImplementation((url, payload, options) => {
+    options.signal.addEventListener("abort", () =>
+      stream.destroy(new Error("canceled"))
+    );
+    return Promise.resolve({ data: stream });
+  });
+  return stream;
+};
+
+const toolCall = (id, name, args) => ({
+  id,
+  type: "function",
+  function: { name, arguments: JSON.stringify(args) },
+});
+
+const answer = (message) =>
+  Promise.resolve({ data: { model: "test-model", choices: [{ message }] } });
+
+const flight = {
+  id: "CA102-CA163",
+  departDate: "December 7th 2026",
+  duration: "13h 5m",
+  stops: 1,
+  price: 1204,
+  segments: [
+    { fromCode: "SEA", toCode: "JFK", departTime: "08:00 AM" },
+    { fromCode: "JFK", toCode: "BCN", departTime: "06:10 PM" },
+  ],
+};
+
+const createServices = () => ({
+  flights: {
+    getFlightById: jest.fn((fromCode, toCode, day, id) =>
+      id == flight.id ? flight : null
+    ),
+    getFlights: jest.fn(() => [
+      {
+        id: "CA102-CA163",
+        departDate: "December 7th 2026",
+        duration: "13h 5m",
+        stops: 1,
+        price: 1204,
+        segments: [
+          {
+            flight: "CA102",
+            fromCode: "SEA",
+            toCode: "JFK",
+            departTime: "08:00 AM",
+            arrivalTime: "04:25 PM",
+            aircraft: "787",
+          },
+        ],
+      },
+    ]),
+  },
+  airports: {
+    getByCode: (code) =>
+      code == "SEA" || code == "BCN" ? { code, city: code } : { city: "-" },
+  },
+  deals: { getFlightDeals: (n) => new Array(n).fill({ price: 99 }) },
+  bookings: {
+    getFlights: jest.fn(() => Promise.resolve([])),
+    bookFlight: jest.fn(() => Promise.resolve("5V3UFL")),
+  },
+});
+
+describe("[Unit] That Chat Service", () => {
+  afterEach(() => {
+    jest.resetAllMocks();
+    jest.restoreAllMocks();
+  });
+
+  it("streams the answer and keeps it in the conversation", async () => {
+    const stream = mockStream();
+    const chatService = new ChatService();
+    const deltas = [];
+
+    const answer = chatService.streamMessage("Hi", "s1", {
+      onDelta: (content) => deltas.push(content),
+    });
+    // Events may be split anywhere
+    const text = delta("Hel") + delta("lo") + "data: [DONE]\n\n";
+    stream.write(text.slice(0, 20));
+    stream.end(text.slice(20));
+
+    expect(await answer).toMatchObject({
+      success: true,
+      message: "Hello",
+      cancelled: false,
+      model: "test-model",
+    });
+    expect(deltas).toEqual(["Hel", "lo"]);
+    expect(axios.post.mock.calls[0][1].stream).toBe(true);
+    expect(chatService.getConversationHistory("s1")).toEqual([
+      { role: "user", content: "Hi" },
+      { role: "assistant", content: "Hello" },
+    ]);
+  });
+
+  it("cancels a generation and keeps what was generated", async () => {
+    const stream = mockStream();
+    const chatService = new ChatService();
+
+    const answer = chatService.streamMessage("Hi", "s1", {
+      onDelta: () => chatService.cancelGeneration("s1"),
+    });
+    stream.write(delta("Hel"));
+
+    expect(await answer).toMatchObject({
+      success: true,
+      message: "Hel",
+      cancelled: true,
+    });
+    expect(chatService.cancelGeneration("s1")).toBe(false);
+    expect(chatService.getConversationStats("s1").assistantMessages).toBe(1);
+  });
+
+  it("stops generating when the client goes away", async () => {
+    mockStream();
+    const chatService = new ChatService();
+    const disconnected = new AbortController();
+
+    const answer = chatService.streamMessage("Hi", "s1", {
+      signal: disconnected.signal,
+    });
+    disconnected.abort();
+
+    expect(await answer).toMatchObject({ message: "", cancelled: true });
+    expect(chatService.getConversationStats("s1").assistantMessages).toBe(0);
+  });
+
+  it("tells when the chat API fails", async () => {
+    jest.spyOn(console, "error").mockImplementation(() => {});
+    axios.post.mockRejectedValue({
+      message: "Request failed",
+      response: { status: 502, statusText: "Bad Gateway" },
+    });
+
+    expect(await new ChatService().streamMessage("Hi", "s1")).toEqual({
+      success: false,
+      error: "API Error: 502 - Bad Gateway",
+    });
+  });
+
+  it("offers the tools backed by its services", () => {
+    const chatService = new ChatService(createServices());
+
+    expect(chatService.getToolNames()).toEqual([
+      "search_flights",
+      "get_airport",
+      "get_flight_deals",
+    ]);
+    expect(chatService.getToolNames({ username: "alice" })).toEqual(
+      expect.arrayContaining(["list_my_bookings", "propose_booking"])
+    );
+    expect(new ChatService().getToolNames({ username: "alice" })).toEqual([]);
+  });
+
+  it("runs the tools the model calls until it answers", async () => {
+    const services = createServices();
+    const chatService = new ChatService(services);
+    const search = toolCall("call_1", "search_flights", {
+      fromCode: "sea",
+      toCode: "bcn",
+      date: "2026-12-07",
+      maxStops: 1,
+    });
+    axios.post
+      .mockReturnValueOnce(answer({ role: "assistant", tool_calls: [search] }))
+      .mockReturnValueOnce(
+        answer({ role: "assistant", content: "CA102 costs $1204" })
+      );
+    jest.spyOn(console, "log").mockImplementation(() => {});
+
+    const response = await chatService.processMessage("Flights?", "s1");
+
+    expect(response).toMatchObject({
+      success: true,
+      message: "CA102 costs $1204",
+    });
+    const [fromCode, toCode, day, filters] =
+      services.flights.getFlights.mock.calls[0];
+    expect([fromCode, toCode, day.format("YYYY-MM-DD")]).toEqual([
+      "SEA",
+      "BCN",
+      "2026-12-07",
+    ]);
+    expect(filters).toEqual({ stops: [0, 1], sort: "price" });
+    const history = chatService.getConversationHistory("s1");
+    expect(history.map((msg) => msg.role)).toEqual([
+      "user",
+      "assistant",
+      "tool",
+      "assistant",
+    ]);
+    expect(history[1].tool_calls).toEqual([search]);
+    expect(history[2].tool_call_id).toBe("call_1");
+    expect(JSON.parse(history[2].content)[0]).toMatchObject({
+      id: "CA102-CA163",
+      price: 1204,
+    });
+    // The model gets the results along with the conversation
+    expect(axios.post.mock.calls[1][1].messages.slice(1)).toEqual(
+      history.slice(0, 3)
+    );
+    expect(chatService.getConversationStats("s1").toolCalls).toBe(1);
+  });
+
+  it("tells the model what went wrong with a tool call", async () => {
+    const chatService = new ChatService(createServices());
+    const run = async (name, args) =>
+      JSON.parse(
+        (await chatService.runToolCall(toolCall("call_1", name, args))).content
+      );
+
+    expect(await run("get_airport", { code: "XXX" })).toEqual({
+      error: "There is no airport XXX",
+    });
+    expect(
+      await run("search_flights", {
+        fromCode: "SEA",
+        toCode: "BCN",
+        date: "7/12",
+      })
+    ).toEqual({ error: "7/12 is not a date like 2026-12-07" });
+    expect(await run("list_my_bookings", {})).toEqual({
+      error: "There is no tool list_my_bookings",
+    });
+    expect(await run("get_flight_deals", { count: 2 })).toHaveLength(2);
+  });
+
+  it("puts together tool calls streamed in pieces", async () => {
+    const services = createServices();
+    const chatService = new ChatService(services);
+    const first = new PassThrough();
+    const second = new PassThrough();
+    axios.post
+      .mockResolvedValueOnce({ data: first })
+      .mockResolvedValueOnce({ data: second });
+    const piece = (tool_call) =>
+      event({ choices: [{ delta: { tool_calls: [tool_call] } }] });
+    first.end(
+      piece({
+        index: 0,
+        id: "call_1",
+        function: { name: "list_my_", arguments: "" },
+      }) +
+        piece({ index: 0, function: { name: "bookings", arguments: "{}" } }) +
+        "data: [DONE]\n\n"
+    );
+    second.end(delta("No trips yet") + "data: [DONE]\n\n");
+    const toolCalls = [];
+
+    const response = await chatService.streamMessage("My trips?", "s1", {
+      username: "alice",
+      onToolCall: (call) => toolCalls.push(call.function.name),
+    });
+
+    expect(response.message).toBe("No trips yet");
+    expect(toolCalls).toEqual(["list_my_bookings"]);
+    expect(services.bookings.getFlights).toHaveBeenCalledWith("alice");
+    expect(chatService.getConversationHistory("s1")).toEqual([
+      { role: "user", content: "My trips?" },
+      {
+        role: "assistant",
+        content: null,
+        tool_calls: [toolCall("call_1", "list_my_bookings", {})],
+      },
+      { role: "tool", tool_call_id: "call_1", content: "[]" },
+      { role: "assistant", content: "No trips yet" },
+    ]);
+  });
+
+  it("keeps the conversation of a logged in user to them", () => {
+    const chatService = new ChatService();
+    chatService.createChatRequest("Hi", "s1");
+    expect(chatService.ownsConversation("s1", undefined)).toBe(true);
+
+    chatService.createChatRequest("Where am I flying?", "s1", {
+      username: "alice",
+    });
+    expect(chatService.ownsConversation("s1", "alice")).toBe(true);
+    expect(chatService.ownsConversation("s1", "bob")).toBe(false);
+    expect(chatService.ownsConversation("s1", undefined)).toBe(false);
+
+    chatService.clearConversation("s1");
+    expect(chatService.ownsConversation("s1", "bob")).toBe(true);
+  });
+
+  it("only holds a proposed trip once the customer confirms it", async () => {
+    const services = createServices();
+    const chatService = new ChatService(services);
+    const proposals = [];
+    const propose = async (args) =>
+      JSON.parse(
+        (
+          await chatService.runToolCall(
+            toolCall("call_1", "propose_booking", args),
+            {
+              username: "alice",
+              sessionId: "s1",
+              onProposal: (proposal) => proposals.push(proposal),
+            }
+          )
+        ).content
+      );
+    const leg = {
+      fromCode: "sea",
+      toCode: "bcn",
+      date: "2026-12-07",
+      flight: "CA102-CA163",
+    };
+
+    expect(await propose({ legs: [leg], passengers: 9 })).toEqual({
+      error: "A trip is for 1 to 5 passengers",
+    });
+    expect(
+      await propose({ legs: [{ ...leg, flight: "CA999" }], passengers: 1 })
+    ).toEqual({
+      error: "There is no flight CA999 from SEA to BCN on 2026-12-07",
+    });
+    const result = await propose({ legs: [leg], passengers: 2 });
+
+    expect(result).toMatchObject({
+      tripType: "oneway",
+      passengers: 2,
+      legs: [{ flight: "CA102-CA163", fromCode: "SEA", toCode: "BCN" }],
+      total: 2408,
+    });
+    expect(proposals).toEqual([expect.objectContaining({ id: result.id })]);
+    expect(services.flights.getFlightById).toHaveBeenCalledWith(
+      "SEA",
+      "BCN",
+      expect.anything(),
+      "CA102-CA163"
+    );
+    expect(services.bookings.bookFlight).not.toHaveBeenCalled();
+
+    expect(await chatService.confirmProposal(result.id, "mallory")).toBeNull();
+    expect(await chatService.confirmProposal(result.id, "alice")).toBe(
+      "5V3UFL"
+    );
+    expect(services.bookings.bookFlight).toHaveBeenCalledWith(
+      "alice",
+      [flight],
+      2,
+      "oneway"
+    );
+    expect(chatService.getConversationHistory("s1")).toEqual([
+      expect.objectContaining({ role: "assistant" }),
+    ]);
+    // Proposals work once
+    expect(await chatService.confirmProposal(result.id, "alice")).toBeNull();
+  });
+
+  it("lets proposals expire", async () => {
+    const chatService = new ChatService(createServices());
+    const { id } = chatService.proposeBooking(
+      {
+        legs: [
+          {
+            fromCode: "SEA",
+            toCode: "BCN",
+            date: "2026-12-07",
+            flight: "CA102-CA163",
+          },
+        ],
+        passengers: 1,
+      },
+      { username: "alice" }
+    );
+    const later = new Date(Date.now() + 16 * 60 * 1000);
+
+    expect(await chatService.confirmProposal(id, "alice", later)).toBeNull();
+  });
+});
@@ -12,6 +12,7 @@ class DateService {
     for (let i = 0; i < sequenceDays; i++) {
       result[i] = {
         active: i == middleDay,
+        date: current.toJSON(),
         dayWeek: current.format("dddd"),
         dayText: current.format("MMM D"),
         price:
@@ -0,0 +1,41 @@
+const moment = require("moment");
+
+// First day of travel, from the segment dates kept with every booking
+const getDepartDay = function (travel) {
+  const segment = travel.legs[0].segments[0];
+  return moment.utc(segment.date);
+};
+
+class FareRulesService {
+  constructor(fares) {
+    this._rules = fares.refundRules
+      .slice()
+      .sort((a, b) => b.daysBefore - a.daysBefore);
+  }
+
+  // What cancelling a trip today would give back. Trips that already departed
+  // can't be refunded at all, so there is no quote for them.
+  getRefund(travel, today = new Date()) {
+    const daysBefore = getDepartDay(travel).diff(
+      moment.utc(moment(today).format("YYYY-MM-DD")),
+      "days"
+    );
+    if (daysBefore < 0) return null;
+
+    const rule = this._rules.find((r) => daysBefore >= r.daysBefore);
+    const fee = rule.feePerPassenger * travel.passengers;
+    const amount = Math.max(
+      0,
+      Math.round((travel.total * rule.refundPercent) / 100) - fee
+    );
+    return {
+      daysBefore,
+      percent: rule.refundPercent,
+      fee,
+      paid: travel.total,
+      amount,
+    };
+  }
+}
+
+module.exports = FareRulesService;
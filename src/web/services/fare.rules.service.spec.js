@@ -0,0 +1,54 @@
+const FareRulesService = require("./fare.rules.service");
+
+const fares = {
+  refundRules: [
+    { daysBefore: 0, refundPercent: 0, feePerPassenger: 0 },
+    { daysBefore: 30, refundPercent: 100, feePerPassenger: 0 },
+    { daysBefore: 7, refundPercent: 50, feePerPassenger: 20 },
+  ],
+};
+
+const travel = (date) => ({
+  passengers: 2,
+  total: 400,
+  legs: [{ segments: [{ date }] }],
+});
+
+describe("[Unit] That Fare Rules Service", () => {
+  it("refunds everything well ahead of departure", () => {
+    const fareRulesService = new FareRulesService(fares);
+
+    const refund = fareRulesService.getRefund(
+      travel("2025-12-31"),
+      new Date(2025, 10, 3)
+    );
+    expect(refund).toEqual({
+      daysBefore: 58,
+      percent: 100,
+      fee: 0,
+      paid: 400,
+      amount: 400,
+    });
+  });
+
+  it("takes a fee per passenger closer to departure", () => {
+    const fareRulesService = new FareRulesService(fares);
+
+    const refund = fareRulesService.getRefund(
+      travel("2025-11-10"),
+      new Date(2025, 10, 3)
+    );
+    expect(refund).toMatchObject({ daysBefore: 7, percent: 50, amount: 160 });
+    expect(
+      fareRulesService.getRefund(travel("2025-11-09"), new Date(2025, 10, 3))
+    ).toMatchObject({ percent: 0, amount: 0 });
+  });
+
+  it("has no refund once the trip departed", () => {
+    const fareRulesService = new FareRulesService(fares);
+
+    expect(
+      fareRulesService.getRefund(travel("2025-11-02"), new Date(2025, 10, 3))
+    ).toBeNull();
+  });
+});
@@ -0,0 +1,112 @@
+const FlightsService = require("./flights.service");
+
+const filterKeys = [
+  "stops",
+  "departAfter",
+  "departBefore",
+  "maxDuration",
+  "via",
+  "maxPrice",
+  "sort",
+];
+
+const sortTexts = {
+  price: "Price",
+  duration: "Duration",
+  departure: "Departure time",
+};
+
+const stopsTexts = ["Nonstop", "1 stop", "2+ stops"];
+
+const durations = [6, 8, 10, 12, 16, 24];
+
+const toArray = function (value) {
+  if (value === undefined || value === null) return [];
+  return Array.isArray(value) ? value : [value];
+};
+
+const toNumber = function (value) {
+  if (value === undefined || value === null || value === "") return null;
+  const number = Number(value);
+  return isNaN(number) ? null : number;
+};
+
+const formatHour = (hour) => `${hour < 10 ? "0" : ""}${hour}:00`;
+
+// Filters of a trip with several legs are kept apart by a prefix, like
+// leg1Via for the connection of the second leg
+const fieldName = (prefix, key) =>
+  prefix ? prefix + key[0].toUpperCase() + key.slice(1) : key;
+
+const fieldNames = (prefix) =>
+  filterKeys.reduce((names, key) => {
+    names[key] = fieldName(prefix, key);
+    return names;
+  }, {});
+
+class FlightFiltersService {
+  getFilters(query, prefix = "") {
+    const field = (key) => query[fieldName(prefix, key)];
+    const sort = FlightsService.sortOptions.includes(field("sort"))
+      ? field("sort")
+      : "price";
+    return {
+      stops: toArray(field("stops"))
+        .map(toNumber)
+        .filter((n) => n != null && n >= 0 && n <= FlightsService.maxStops),
+      departAfter: toNumber(field("departAfter")),
+      departBefore: toNumber(field("departBefore")),
+      maxDuration: toNumber(field("maxDuration")),
+      via: field("via") ? String(field("via")).toUpperCase() : null,
+      maxPrice: toNumber(field("maxPrice")),
+      sort,
+    };
+  }
+
+  // Only the filters that were actually set, to be carried along in links
+  getQuery(filters, prefix = "") {
+    return filterKeys.reduce((query, key) => {
+      const value = filters[key];
+      const empty = value == null || (Array.isArray(value) && !value.length);
+      if (!empty) query[fieldName(prefix, key)] = value;
+      return query;
+    }, {});
+  }
+
+  getForm(filters, connections, prefix = "") {
+    const hours = (selected) =>
+      Array.from({ length: 25 }, (_, hour) => ({
+        value: hour,
+        text: formatHour(hour),
+        selected: selected === hour,
+      }));
+    return {
+      sort: FlightsService.sortOptions.map((value) => ({
+        value,
+        text: sortTexts[value],
+        checked: filters.sort == value,
+      })),
+      stops: stopsTexts.map((text, value) => ({
+        value,
+        text,
+        checked: filters.stops.includes(value),
+      })),
+      departAfter: hours(filters.departAfter),
+      departBefore: hours(filters.departBefore),
+      maxDuration: durations.map((value) => ({
+        value,
+        text: `${value}h`,
+        selected: filters.maxDuration === value,
+      })),
+      via: connections.map((airport) => ({
+        value: airport.code,
+        text: `${airport.city} ${airport.code}`,
+        selected: filters.via == airport.code,
+      })),
+      maxPrice: filters.maxPrice,
+      names: fieldNames(prefix),
+    };
+  }
+}
+
+module.exports = FlightFiltersService;
@@ -0,0 +1,87 @@
+const FlightFiltersService = require("./flight.filters.service");
+
+describe("[Unit] That Flight Filters Service", () => {
+  it("parses filters from the query string", () => {
+    const flightFilters = new FlightFiltersService();
+    const filters = flightFilters.getFilters({
+      stops: ["0", "1", "7"],
+      departAfter: "6",
+      departBefore: "",
+      maxDuration: "12",
+      via: "cdg",
+      maxPrice: "abc",
+      sort: "duration",
+    });
+
+    expect(filters).toEqual({
+      stops: [0, 1],
+      departAfter: 6,
+      departBefore: null,
+      maxDuration: 12,
+      via: "CDG",
+      maxPrice: null,
+      sort: "duration",
+    });
+  });
+
+  it("sorts by price unless a known sort is asked for", () => {
+    const flightFilters = new FlightFiltersService();
+    expect(flightFilters.getFilters({}).sort).toBe("price");
+    expect(flightFilters.getFilters({ sort: "random" }).sort).toBe("price");
+  });
+
+  it("only carries the filters that are set into links", () => {
+    const flightFilters = new FlightFiltersService();
+    const filters = flightFilters.getFilters({ stops: "1", maxPrice: "400" });
+    expect(flightFilters.getQuery(filters)).toEqual({
+      stops: [1],
+      maxPrice: 400,
+      sort: "price",
+    });
+  });
+
+  it("keeps the filters of every leg apart", () => {
+    const flightFilters = new FlightFiltersService();
+    const query = { via: "JFK", leg1Via: "cdg", leg1Stops: "1" };
+    const filters = flightFilters.getFilters(query, "leg1");
+
+    expect(filters).toMatchObject({ via: "CDG", stops: [1] });
+    expect(flightFilters.getFilters(query, "leg0").via).toBeNull();
+    expect(flightFilters.getQuery(filters, "leg1")).toEqual({
+      leg1Stops: [1],
+      leg1Via: "CDG",
+      leg1Sort: "price",
+    });
+    expect(flightFilters.getForm(filters, [], "leg1").names).toMatchObject({
+      via: "leg1Via",
+      departAfter: "leg1DepartAfter",
+    });
+  });
+
+  it("marks the current filters on the form", () => {
+    const flightFilters = new FlightFiltersService();
+    const filters = flightFilters.getFilters({
+      stops: "0",
+      departAfter: "8",
+      via: "JFK",
+      sort: "departure",
+    });
+    const form = flightFilters.getForm(filters, [
+      { code: "JFK", city: "New York" },
+      { code: "CDG", city: "Paris" },
+    ]);
+
+    expect(form.sort.filter((o) => o.checked)).toEqual([
+      expect.objectContaining({ value: "departure" }),
+    ]);
+    expect(form.stops.filter((o) => o.checked)).toEqual([
+      expect.objectContaining({ value: 0 }),
+    ]);
+    expect(form.departAfter.filter((o) => o.selected)).toEqual([
+      expect.objectContaining({ value: 8, text: "08:00" }),
+    ]);
+    expect(form.via).toContainEqual(
+      expect.objectContaining({ value: "JFK", selected: true })
+    );
+  });
+});
@@ -1,5 +1,7 @@
 const moment = require("moment");
 
+// Schedules are stored in UTC, so dates and times are shown the same whatever
+// the server's timezone
 const segmentParser = function (airports) {
   return (s) => ({
     flight: s.flight,
@@ -7,21 +9,60 @@ const segmentParser = function (airports) {
     fromCity: airports.getByCode(s.fromCode).city,
     toCode: s.toCode,
     toCity: airports.getByCode(s.toCode).city,
-    departTime: moment(s.departTime).format("hh:mm A"),
-    arrivalTime: moment(s.arrivalTime).format("hh:mm A"),
+    date: moment.utc(s.departTime).format("YYYY-MM-DD"),
+    departTime: moment.utc(s.departTime).format("hh:mm A"),
+    arrivalTime: moment.utc(s.arrivalTime).format("hh:mm A"),
+    aircraft: s.aircraft,
   });
 };
 
+// Durations are stored as text like "13h 22m"
+const getMinutes = function (duration) {
+  const match = /(?:(\d+)h)?\s*(?:(\d+)m)?/.exec(duration || "");
+  return parseInt(match[1] || 0) * 60 + parseInt(match[2] || 0);
+};
+
 const flightParser = function (airports, prices) {
-  return (f) => ({
-    id: parseInt(f.id),
-    segments: f.segments.map(segmentParser(airports)),
-    departDate: moment(f.segments[0].departTime).format("MMMM Do YYYY"),
-    duration: f.duration,
-    distance: f.distance,
-    stops: f.segments.length - 1,
-    price: prices.getPrice(f.price, moment(f.segments[0].departTime)),
-  });
+  return (f) => {
+    const departure = moment.utc(f.segments[0].departTime);
+    return {
+      id: f.id,
+      segments: f.segments.map(segmentParser(airports)),
+      departDate: departure.format("MMMM Do YYYY"),
+      departHour: departure.hours() + departure.minutes() / 60,
+      duration: f.duration,
+      durationMinutes: getMinutes(f.duration),
+      distance: f.distance,
+      stops: f.segments.length - 1,
+      price: prices.getPrice(f.price, departure),
+    };
+  };
+};
+
+const maxStops = 2;
+
+const flightFilter = function (filters) {
+  const {
+    stops = [],
+    departAfter,
+    departBefore,
+    maxDuration,
+    via,
+    maxPrice,
+  } = filters;
+  return (f) =>
+    (!stops.length || stops.includes(Math.min(f.stops, maxStops))) &&
+    (departAfter == null || f.departHour >= departAfter) &&
+    (departBefore == null || f.departHour <= departBefore) &&
+    (maxDuration == null || f.durationMinutes <= maxDuration * 60) &&
+    (!via || f.segments.slice(1).some((s) => s.fromCode == via)) &&
+    (maxPrice == null || f.price <= maxPrice);
+};
+
+const sorters = {
+  price: (a, b) => a.price - b.price,
+  duration: (a, b) => a.durationMinutes - b.durationMinutes,
+  departure: (a, b) => a.departHour - b.departHour,
 };
 
 class FlightsService {
@@ -31,10 +72,20 @@ class FlightsService {
     this._prices = prices;
   }
 
-  getFlights(fromCode, toCode, day) {
-    return this._repo
+  getFlights(fromCode, toCode, day, filters = {}) {
+    const flights = this._repo
       .findFlights(fromCode, toCode, day)
-      .map(flightParser(this._airports, this._prices));
+      .map(flightParser(this._airports, this._prices))
+      .filter(flightFilter(filters));
+    const sorter = sorters[filters.sort];
+    return sorter ? flights.sort(sorter) : flights;
+  }
+
+  getConnections(flights) {
+    const codes = flights.flatMap((f) =>
+      f.segments.slice(1).map((s) => s.fromCode)
+    );
+    return [...new Set(codes)].map((code) => this._airports.getByCode(code));
   }
 
   getFlightById(fromCode, toCode, day, id) {
@@ -44,4 +95,7 @@ class FlightsService {
   }
 }
 
+FlightsService.sortOptions = Object.keys(sorters);
+FlightsService.maxStops = maxStops;
+
 module.exports = FlightsService;
@@ -89,7 +89,7 @@ describe("[Unit] That Flights Service", () => {
       new Date(2025, 9, 30),
       1
     );
-    expect(flight).toHaveProperty("id", 1);
+    expect(flight).toHaveProperty("id", "1");
     expect(flight).toHaveProperty("stops", 1);
     expect(flight).toHaveProperty(
       "departDate",
@@ -98,13 +98,108 @@ describe("[Unit] That Flights Service", () => {
     expect(flight).toHaveProperty("duration", "7h 10m");
     expect(flight.segments).toHaveLength(2);
     expect(flight.segments[0]).toHaveProperty("flight", 987);
-    expect(flight.segments[0]).toHaveProperty(
-      "departTime",
-      expect.stringMatching(/\d{2}:\d{2} [AP]M/)
-    );
-    expect(flight.segments[0]).toHaveProperty(
-      "arrivalTime",
-      expect.stringMatching(/\d{2}:\d{2} [AP]M/)
-    );
+    expect(flight.segments[0]).toHaveProperty("date", "2025-10-30");
+    expect(flight.segments[0]).toHaveProperty("departTime", "08:00 AM");
+    expect(flight.segments[0]).toHaveProperty("arrivalTime", "03:10 PM");
+    expect(flight).toHaveProperty("departHour", 8);
+  });
+
+  describe("filtering and sorting", () => {
+    const segment = (flight, fromCode, toCode, departTime) => ({
+      flight,
+      fromCode,
+      toCode,
+      departTime,
+      arrivalTime: departTime,
+    });
+    const templates = [
+      {
+        id: "0",
+        duration: "13h 22m",
+        price: 300,
+        segments: [
+          segment(1, "SEA", "CDG", "2025-10-30T08:05:00"),
+          segment(2, "CDG", "BCN", "2025-10-30T15:00:00"),
+        ],
+      },
+      {
+        id: "1",
+        duration: "08h 15m",
+        price: 500,
+        segments: [segment(3, "SEA", "BCN", "2025-10-30T06:00:00")],
+      },
+      {
+        id: "2",
+        duration: "20h 00m",
+        price: 200,
+        segments: [
+          segment(4, "SEA", "JFK", "2025-10-30T22:00:00"),
+          segment(5, "JFK", "LHR", "2025-10-31T06:00:00"),
+          segment(6, "LHR", "BCN", "2025-10-31T12:00:00"),
+        ],
+      },
+    ];
+
+    const createService = () => {
+      AirportsService.mockImplementation(function () {
+        return { getByCode: (code) => ({ code, city: "-" }) };
+      });
+      PriceService.mockImplementation(function () {
+        return { getPrice: (price) => price };
+      });
+      FlightsRepository.mockImplementation(function () {
+        return { findFlights: () => templates };
+      });
+      return new FlightsService(
+        new FlightsRepository(),
+        new AirportsService(),
+        new PriceService()
+      );
+    };
+
+    it("filters by number of stops, counting 2 as 2 or more", () => {
+      const flightsService = createService();
+      const nonstop = flightsService.getFlights("SEA", "BCN", null, {
+        stops: [0],
+      });
+      expect(nonstop.map((f) => f.id)).toEqual(["1"]);
+      const many = flightsService.getFlights("SEA", "BCN", null, {
+        stops: [2],
+      });
+      expect(many.map((f) => f.id)).toEqual(["2"]);
+    });
+
+    it("filters by departure window, duration, connection and price", () => {
+      const flightsService = createService();
+      const ids = (filters) =>
+        flightsService
+          .getFlights("SEA", "BCN", null, filters)
+          .map((f) => f.id)
+          .sort();
+
+      expect(ids({ departAfter: 7, departBefore: 12 })).toEqual(["0"]);
+      expect(ids({ maxDuration: 14 })).toEqual(["0", "1"]);
+      expect(ids({ via: "LHR" })).toEqual(["2"]);
+      expect(ids({ maxPrice: 300 })).toEqual(["0", "2"]);
+    });
+
+    it("sorts by price, duration or departure time", () => {
+      const flightsService = createService();
+      const ids = (sort) =>
+        flightsService
+          .getFlights("SEA", "BCN", null, { sort })
+          .map((f) => f.id);
+
+      expect(ids("price")).toEqual(["2", "0", "1"]);
+      expect(ids("duration")).toEqual(["1", "0", "2"]);
+      expect(ids("departure")).toEqual(["1", "0", "2"]);
+    });
+
+    it("lists the connecting airports of the results", () => {
+      const flightsService = createService();
+      const flights = flightsService.getFlights("SEA", "BCN", null);
+      const codes = flightsService.getConnections(flights).map((a) => a.code);
+      expect(codes).toEqual(["CDG", "JFK", "LHR"]);
+    });
   });
 });
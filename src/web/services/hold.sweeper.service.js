@@ -0,0 +1,42 @@
+// How often expired booking holds are looked for, in milliseconds
+const sweepInterval = 60 * 1000;
+
+class HoldSweeperService {
+  constructor(bookRepository, seatMap) {
+    this._repo = bookRepository;
+    this._seatMap = seatMap;
+    this._timer = null;
+  }
+
+  // Drops every expired hold and gives its seats back to the inventory
+  async sweep(now = new Date()) {
+    const expired = await this._repo.findExpiredHolds(now);
+    let released = 0;
+    for (const userInfo of expired) {
+      const id = userInfo.booked.id;
+      if (await this._repo.releaseHold(userInfo.user, id)) {
+        await this._seatMap.releaseSeats(id);
+        released++;
+      }
+    }
+    return released;
+  }
+
+  start(interval = sweepInterval) {
+    if (this._timer) return;
+    this._timer = setInterval(() => {
+      this.sweep().catch((error) => {
+        console.error("Failed to release expired booking holds: ", error);
+      });
+    }, interval);
+    // Never keep the process alive only to sweep
+    this._timer.unref();
+  }
+
+  stop() {
+    clearInterval(this._timer);
+    this._timer = null;
+  }
+}
+
+module.exports = HoldSweeperService;
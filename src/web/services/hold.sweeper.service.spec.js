@@ -0,0 +1,23 @@
+const HoldSweeperService = require("./hold.sweeper.service");
+
+describe("[Unit] That Hold Sweeper Service", () => {
+  it("releases the seats of expired holds", async () => {
+    const bookRepository = {
+      findExpiredHolds: jest.fn(async () => [
+        { user: "me", booked: { id: "b1" } },
+        { user: "you", booked: { id: "b2" } },
+      ]),
+      releaseHold: jest.fn(async (user) => user == "me"),
+    };
+    const seatMap = { releaseSeats: jest.fn(async () => {}) };
+    const now = new Date(2025, 10, 3);
+
+    const holdSweeperService = new HoldSweeperService(bookRepository, seatMap);
+    const released = await holdSweeperService.sweep(now);
+    expect(released).toBe(1);
+    expect(bookRepository.findExpiredHolds).toBeCalledWith(now);
+    expect(bookRepository.releaseHold).toBeCalledWith("you", "b2");
+    expect(seatMap.releaseSeats).toBeCalledTimes(1);
+    expect(seatMap.releaseSeats).toBeCalledWith("b1");
+  });
+});
@@ -1,9 +1,17 @@
+const crypto = require("crypto");
 const AirportsRepository = require("../repositories").AirportsRepository;
 const DestinationsRepository =
   require("../repositories").DestinationsRepository;
 const DealsRepository = require("../repositories").DealsRepository;
 const BookRepository = require("../repositories").BookRepository;
 const FlightsRepository = require("../repositories").FlightsRepository;
+const AircraftRepository = require("../repositories").AircraftRepository;
+const SeatsRepository = require("../repositories").SeatsRepository;
+const FaresRepository = require("../repositories").FaresRepository;
+const AccountsRepository = require("../repositories").AccountsRepository;
+const AuditRepository = require("../repositories").AuditRepository;
+const TokensRepository = require("../repositories").TokensRepository;
+const RateLimitsRepository = require("../repositories").RateLimitsRepository;
 
 const _PriceService = require("./price.service");
 const _NavbarService = require("./navbar.service");
@@ -11,16 +19,90 @@ const _AirportsService = require("./airports.service");
 const _DateService = require("./date.service");
 const _BookFormService = require("./book.form.service");
 const _BookService = require("./book.service");
+const _SeatMapService = require("./seat.map.service");
+const _PassengerDetailsService = require("./passenger.details.service");
+const _FareRulesService = require("./fare.rules.service");
+const _HoldSweeperService = require("./hold.sweeper.service");
 const _DealsService = require("./deals.service");
 const _FlightsService = require("./flights.service");
+const _FlightFiltersService = require("./flight.filters.service");
 const _ChatService = require("./chat.service");
+const _MailService = require("./mail.service");
+const _AccountService = require("./account.service");
+const _AuditService = require("./audit.service");
+const _TokenService = require("./token.service");
+const _RateLimitService = require("./rate.limit.service");
+
+// MAIL_TRANSPORT picks how mails are delivered: by SMTP when SMTP_URL is set,
+// otherwise they are logged. Production only delivers them by SMTP, logs
+// would hold the reset links. Tests can plug in their own transport to read
+// what was sent.
+let mailTransport = null;
+const setMailTransport = (transport) => (mailTransport = transport);
+const getMailTransport = () => {
+  if (!mailTransport) {
+    const name =
+      process.env.MAIL_TRANSPORT || (process.env.SMTP_URL ? "smtp" : "log");
+    const Transport = _MailService.transports[name];
+    if (!Transport) {
+      throw new Error(`Unknown MAIL_TRANSPORT "${name}"`);
+    }
+    if (process.env.NODE_ENV == "production" && name != "smtp") {
+      throw new Error("SMTP_URL must be set in production to send mails");
+    }
+    mailTransport = new Transport({ url: process.env.SMTP_URL });
+  }
+  return mailTransport;
+};
+
+// JWT_SECRET lists the secrets signing access tokens, separated by commas. The
+// first one signs new tokens and all of them are accepted, so they can be
+// rotated like session secrets.
+let jwtSecrets = null;
+const getJwtSecrets = () => {
+  if (!jwtSecrets) {
+    jwtSecrets = (process.env.JWT_SECRET || "")
+      .split(",")
+      .map((secret) => secret.trim())
+      .filter((secret) => secret);
+    // Anyone could sign tokens with the placeholder of the manifests
+    if (jwtSecrets.includes("changeme")) {
+      throw new Error("JWT_SECRET is still the changeme placeholder");
+    }
+    if (!jwtSecrets.length) {
+      if (process.env.NODE_ENV == "production") {
+        throw new Error("JWT_SECRET must be set in production");
+      }
+      console.warn("JWT_SECRET not set. Access tokens are lost on restart.");
+      jwtSecrets = [crypto.randomBytes(32).toString("hex")];
+    }
+  }
+  return jwtSecrets;
+};
 
 const PriceService = () => new _PriceService();
 const NavbarService = () => new _NavbarService();
 const AirportsService = () => new _AirportsService(AirportsRepository());
 const DateService = () => new _DateService(PriceService());
 const BookFormService = () => new _BookFormService(AirportsService());
-const BookService = () => new _BookService(BookRepository(), AirportsService());
+const SeatMapService = () =>
+  new _SeatMapService(SeatsRepository(), AircraftRepository());
+const PassengerDetailsService = () => new _PassengerDetailsService();
+const FareRulesService = () => new _FareRulesService(FaresRepository());
+const BookService = () =>
+  new _BookService(
+    BookRepository(),
+    AirportsService(),
+    SeatMapService(),
+    PassengerDetailsService(),
+    FareRulesService(),
+    PriceService()
+  );
+// Holds only exist when bookings can be stored
+const HoldSweeperService = () =>
+  BookRepository()
+    ? new _HoldSweeperService(BookRepository(), SeatMapService())
+    : null;
 const DealsService = () =>
   new _DealsService(
     DestinationsRepository(),
@@ -29,7 +111,51 @@ const DealsService = () =>
   );
 const FlightsService = () =>
   new _FlightsService(FlightsRepository(), AirportsService(), PriceService());
-const ChatService = () => new _ChatService();
+const FlightFiltersService = () => new _FlightFiltersService();
+// The assistant looks flights, airports, deals and bookings up with its tools
+const ChatService = () =>
+  new _ChatService({
+    flights: FlightsService(),
+    airports: AirportsService(),
+    deals: DealsService(),
+    bookings: BookRepository() ? BookService() : null,
+  });
+// The transport is looked up on every mail, so one plugged in later is used.
+// A missing one fails at startup rather than on the first mail.
+const MailService = () => {
+  getMailTransport();
+  return new _MailService(
+    { send: (message) => getMailTransport().send(message) },
+    process.env.MAIL_FROM
+  );
+};
+// ADMIN_USERS lists the usernames that are always admins
+const admins = () =>
+  (process.env.ADMIN_USERS || "")
+    .split(",")
+    .map((name) => name.trim())
+    .filter((name) => name);
+// Accounts and the audit log can only be kept when bookings can be stored
+const AccountService = () =>
+  AccountsRepository()
+    ? new _AccountService(
+        AccountsRepository(),
+        MailService(),
+        admins(),
+        BookRepository()
+      )
+    : null;
+const AuditService = () =>
+  AuditRepository() ? new _AuditService(AuditRepository()) : null;
+// API tokens belong to accounts, so they need them too
+const TokenService = () =>
+  TokensRepository() && AccountService()
+    ? new _TokenService(TokensRepository(), AccountService(), getJwtSecrets(), {
+        accessMinutes: Number(process.env.ACCESS_TOKEN_MINUTES) || undefined,
+        refreshDays: Number(process.env.REFRESH_TOKEN_DAYS) || undefined,
+      })
+    : null;
+const RateLimitService = () => new _RateLimitService(RateLimitsRepository());
 
 module.exports = {
   PriceService,
@@ -37,8 +163,19 @@ module.exports = {
   AirportsService,
   DateService,
   BookFormService,
+  SeatMapService,
+  PassengerDetailsService,
+  FareRulesService,
   BookService,
+  HoldSweeperService,
   DealsService,
   FlightsService,
+  FlightFiltersService,
   ChatService,
+  MailService,
+  AccountService,
+  AuditService,
+  TokenService,
+  RateLimitService,
+  setMailTransport,
 };
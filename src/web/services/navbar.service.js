@@ -1,7 +1,15 @@
-const publicMenu = [{ url: "/book", text: "NavbarMenu.Book" }];
+const { staffRoles } = require("./account.service");
+
+const publicMenu = [
+  { url: "/book", text: "NavbarMenu.Book" },
+  { url: "/manage", text: "NavbarMenu.Manage" },
+];
 
 const securedMenu = [{ url: "/booked", text: "NavbarMenu.Booked" }];
 
+// Only for staff
+const staffMenu = [{ url: "/admin", text: "NavbarMenu.Admin" }];
+
 const onlyPublicMenu = [{ url: "/login", text: "NavbarMenu.Login" }];
 
 class NavbarService {
@@ -18,6 +26,8 @@ class NavbarService {
       publicMenu: publicMenu.map(mapMenus),
       securedMenu: securedMenu.map(mapMenus),
       onlyPublicMenu: onlyPublicMenu.map(mapMenus),
+      staffMenu:
+        user && staffRoles.includes(user.role) ? staffMenu.map(mapMenus) : [],
     };
   }
 }
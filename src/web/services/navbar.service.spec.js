@@ -73,4 +73,20 @@ describe("[Unit] That Navbar Service", () => {
       expect.objectContaining({ active: true, url: "/login" })
     );
   });
+
+  it("only shows the staff menu to staff", () => {
+    const navbarService = new NavbarService();
+    const nav = (role) =>
+      navbarService.getData({
+        baseUrl: "/",
+        user: { name: "me", role },
+        __: jest.fn(() => "-"),
+      });
+
+    expect(nav("customer").staffMenu).toEqual([]);
+    expect(nav("agent").staffMenu).toContainEqual(
+      expect.objectContaining({ url: "/admin" })
+    );
+    expect(nav("admin").staffMenu).toHaveLength(1);
+  });
 });
@@ -0,0 +1,171 @@
+const moment = require("moment");
+
+const categories = {
+  adult: "adult",
+  child: "child",
+  infant: "infant",
+};
+
+const categoryTexts = {
+  adult: "Adult (12+)",
+  child: "Child (2-11)",
+  infant: "Infant (under 2)",
+};
+
+const documentTypes = {
+  passport: "passport",
+  nationalId: "nationalId",
+};
+
+const documentTexts = {
+  passport: "Passport",
+  nationalId: "National ID card",
+};
+
+const documentFormats = {
+  passport: /^[A-Z0-9]{6,9}$/,
+  nationalId: /^[A-Z0-9]{5,15}$/,
+};
+
+const fields = [
+  "firstName",
+  "lastName",
+  "dateOfBirth",
+  "category",
+  "documentType",
+  "documentNumber",
+  "documentExpiry",
+  "nationality",
+  "email",
+  "phone",
+];
+
+const namePattern = /^[A-Za-zÀ-ÖØ-öø-ÿ]+(?:[ '-][A-Za-zÀ-ÖØ-öø-ÿ]+)*$/;
+const countryPattern = /^[A-Z]{2}$/;
+const emailPattern = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const phonePattern = /^\+?[0-9][0-9 ()-]{6,19}$/;
+
+const parseDate = (value) => moment.utc(value, "YYYY-MM-DD", true);
+
+const clean = function (passenger) {
+  const text = (key) => String((passenger || {})[key] || "").trim();
+  const upper = (key) => text(key).toUpperCase().replace(/\s/g, "");
+  return {
+    firstName: text("firstName"),
+    lastName: text("lastName"),
+    dateOfBirth: text("dateOfBirth"),
+    category: text("category"),
+    documentType: text("documentType"),
+    documentNumber: upper("documentNumber"),
+    documentExpiry: text("documentExpiry"),
+    nationality: upper("nationality"),
+    email: text("email"),
+    phone: text("phone"),
+  };
+};
+
+class PassengerDetailsService {
+  // Age category on the day of travel
+  getCategory(dateOfBirth, travelDate) {
+    const age = moment
+      .utc(travelDate)
+      .diff(parseDate(dateOfBirth).startOf("day"), "years");
+    if (age < 2) return categories.infant;
+    if (age < 12) return categories.child;
+    return categories.adult;
+  }
+
+  // The first passenger is the lead one and the only one asked for contact
+  // details. Returns the cleaned up details along with any errors found.
+  validate(details, count, firstDay, lastDay) {
+    const passengers = Array.from({ length: count }, (_, i) =>
+      clean((details || [])[i])
+    );
+    const errors = [];
+
+    passengers.forEach((p, i) => {
+      const error = (message) => errors.push(`Passenger ${i + 1}: ${message}`);
+      if (!namePattern.test(p.firstName) || p.firstName.length > 50) {
+        error("first name must only contain letters, spaces, - or '");
+      }
+      if (!namePattern.test(p.lastName) || p.lastName.length > 50) {
+        error("last name must only contain letters, spaces, - or '");
+      }
+
+      const born = parseDate(p.dateOfBirth);
+      if (!born.isValid() || born.isAfter(moment.utc(firstDay))) {
+        error("date of birth must be a date before the flight");
+      } else if (!categories[p.category]) {
+        error("choose adult, child or infant");
+      } else {
+        const category = this.getCategory(p.dateOfBirth, firstDay);
+        if (p.category != category) {
+          error(`travels as ${categoryTexts[category]}, not as ${p.category}`);
+        }
+      }
+
+      const format = documentFormats[p.documentType];
+      if (!format) {
+        error("choose a travel document");
+      } else if (!format.test(p.documentNumber)) {
+        error(`${documentTexts[p.documentType]} number is not valid`);
+      }
+      const expiry = parseDate(p.documentExpiry);
+      if (!expiry.isValid() || expiry.isBefore(moment.utc(lastDay), "day")) {
+        error("travel document must not expire before the trip ends");
+      }
+      if (!countryPattern.test(p.nationality)) {
+        error("nationality must be a two letter country code");
+      }
+
+      if (i == 0) {
+        if (!emailPattern.test(p.email)) error("email is not valid");
+        if (!phonePattern.test(p.phone)) error("phone is not valid");
+      } else {
+        p.email = "";
+        p.phone = "";
+      }
+    });
+
+    const inCategory = (category) =>
+      passengers.filter((p) => p.category == category).length;
+    if (!inCategory(categories.adult)) {
+      errors.push("At least one adult must travel on the booking");
+    }
+    if (inCategory(categories.infant) > inCategory(categories.adult)) {
+      errors.push("Every infant must travel with an adult");
+    }
+
+    return { passengers, errors };
+  }
+
+  getForm(count, details) {
+    return Array.from({ length: count }, (_, i) => {
+      const values = clean((details || [])[i]);
+      return {
+        label: `Passenger ${i + 1}`,
+        lead: i == 0,
+        values,
+        names: fields.reduce((names, field) => {
+          names[field] = `passengers[${i}][${field}]`;
+          return names;
+        }, {}),
+        categories: Object.keys(categories).map((value) => ({
+          value,
+          text: categoryTexts[value],
+          selected: values.category == value,
+        })),
+        documentTypes: Object.keys(documentTypes).map((value) => ({
+          value,
+          text: documentTexts[value],
+          selected: values.documentType == value,
+        })),
+      };
+    });
+  }
+}
+
+PassengerDetailsService.categories = categories;
+PassengerDetailsService.documentTypes = documentTypes;
+
+module.exports = PassengerDetailsService;
@@ -0,0 +1,97 @@
+const PassengerDetailsService = require("./passenger.details.service");
+
+const depart = "2025-11-03";
+const arrive = "2025-11-10";
+
+const passenger = (extra) =>
+  Object.assign(
+    {
+      firstName: "Ana María",
+      lastName: "O'Neil-Smith",
+      dateOfBirth: "1985-04-12",
+      category: "adult",
+      documentType: "passport",
+      documentNumber: "x1234567",
+      documentExpiry: "2030-01-01",
+      nationality: "es",
+      email: "ana@contoso.com",
+      phone: "+34 600 000 000",
+    },
+    extra
+  );
+
+describe("[Unit] That Passenger Details Service", () => {
+  it("works out the age category on the day of travel", () => {
+    const service = new PassengerDetailsService();
+
+    expect(service.getCategory("2023-11-04", depart)).toBe("infant");
+    expect(service.getCategory("2023-11-03", depart)).toBe("child");
+    expect(service.getCategory("2013-11-04", depart)).toBe("child");
+    expect(service.getCategory("2013-11-03", depart)).toBe("adult");
+  });
+
+  it("accepts and cleans up valid details", () => {
+    const service = new PassengerDetailsService();
+
+    const { passengers, errors } = service.validate(
+      [passenger(), passenger({ email: "x", phone: "y" })],
+      2,
+      depart,
+      arrive
+    );
+    expect(errors).toEqual([]);
+    expect(passengers[0]).toMatchObject({
+      documentNumber: "X1234567",
+      nationality: "ES",
+    });
+    expect(passengers[1]).toMatchObject({ email: "", phone: "" });
+  });
+
+  it("rejects bad names, documents and contact details", () => {
+    const service = new PassengerDetailsService();
+
+    const { errors } = service.validate(
+      [
+        passenger({
+          firstName: "R2D2",
+          documentNumber: "12",
+          documentExpiry: "2025-11-05",
+          nationality: "Spain",
+          email: "ana",
+        }),
+      ],
+      1,
+      depart,
+      arrive
+    );
+    expect(errors).toHaveLength(5);
+    expect(errors[0]).toMatch(/^Passenger 1: first name/);
+  });
+
+  it("checks the chosen category against the date of birth", () => {
+    const service = new PassengerDetailsService();
+
+    const { errors } = service.validate(
+      [passenger(), passenger({ dateOfBirth: "2020-01-01" })],
+      2,
+      depart,
+      arrive
+    );
+    expect(errors).toEqual([
+      "Passenger 2: travels as Child (2-11), not as adult",
+    ]);
+  });
+
+  it("needs an adult for every infant", () => {
+    const service = new PassengerDetailsService();
+
+    const infant = { dateOfBirth: "2025-01-01", category: "infant" };
+    const { errors } = service.validate(
+      [passenger(), passenger(infant), passenger(infant)],
+      3,
+      depart,
+      arrive
+    );
+    expect(errors).toEqual(["Every infant must travel with an adult"]);
+  });
+});
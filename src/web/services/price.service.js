@@ -6,6 +6,12 @@ class PriceService {
   getPrice(priceBase, day) {
     return priceBase + pricePerWeek[moment(day).isoWeekday() - 1];
   }
+
+  // What moving every passenger from one fare to another costs, or gives back
+  // when negative
+  getFareDifference(oldPrice, newPrice, passengers) {
+    return (newPrice - oldPrice) * passengers;
+  }
 }
 
 module.exports = PriceService;
@@ -28,4 +28,11 @@ describe("[Unit] That Price Service", () => {
     expect(mondayPrice).toBeGreaterThan(10);
     expect(thursdayPrice).toBeGreaterThan(10);
   });
+
+  it("charges the fare difference for every passenger", () => {
+    const priceService = new PriceService();
+
+    expect(priceService.getFareDifference(100, 130, 2)).toBe(60);
+    expect(priceService.getFareDifference(130, 100, 3)).toBe(-90);
+  });
 });
@@ -0,0 +1,32 @@
+// Requests are counted in fixed windows: every key starts over from zero when
+// a window begins, and is limited until it ends once over its maximum
+class RateLimitService {
+  constructor(rateLimitsRepository) {
+    this._repo = rateLimitsRepository;
+  }
+
+  // Counts a request of a limiter against each of its keys, like
+  // { kind: "ip", value: "10.0.0.1", max: 60 }. Returns the kind of the first
+  // key over its maximum, or null, and the seconds until the window ends.
+  async hit(limiter, keys, windowSeconds, now = new Date()) {
+    const windowMs = windowSeconds * 1000;
+    const start = Math.floor(now.getTime() / windowMs) * windowMs;
+    const expiresAt = new Date(start + windowMs);
+    const counts = await Promise.all(
+      keys.map((key) =>
+        this._repo.increment(
+          `${limiter}:${key.kind}:${key.value}:${start}`,
+          expiresAt,
+          now
+        )
+      )
+    );
+    const over = keys.find((key, i) => counts[i] > key.max);
+    return {
+      limited: over ? over.kind : null,
+      retryAfter: Math.ceil((expiresAt.getTime() - now.getTime()) / 1000),
+    };
+  }
+}
+
+module.exports = RateLimitService;
@@ -0,0 +1,53 @@
+const RateLimitService = require("./rate.limit.service");
+const RateLimitsMemoryRepository = require("../repositories/rate.limits.memory.repository");
+const MemoryStore = require("../repositories/memory.store");
+
+const createService = () =>
+  new RateLimitService(new RateLimitsMemoryRepository(new MemoryStore()));
+
+const keys = [
+  { kind: "ip", value: "10.0.0.1", max: 3 },
+  { kind: "user", value: "alice", max: 2 },
+];
+
+describe("[Unit] That Rate Limit Service", () => {
+  it("limits the first key going over its maximum until the window ends", async () => {
+    const service = createService();
+    const now = new Date("2026-12-07T10:00:15Z");
+
+    expect(await service.hit("login", keys, 60, now)).toEqual({
+      limited: null,
+      retryAfter: 45,
+    });
+    await service.hit("login", keys, 60, now);
+    expect(await service.hit("login", keys, 60, now)).toEqual({
+      limited: "user",
+      retryAfter: 45,
+    });
+  });
+
+  it("counts every key, limiter and window on its own", async () => {
+    const service = createService();
+    const now = new Date("2026-12-07T10:00:15Z");
+    await service.hit("login", keys, 60, now);
+    await service.hit("login", keys, 60, now);
+
+    const bob = [{ kind: "user", value: "bob", max: 2 }];
+    expect((await service.hit("login", bob, 60, now)).limited).toBeNull();
+    expect((await service.hit("chat", keys, 60, now)).limited).toBeNull();
+    const later = new Date("2026-12-07T10:01:00Z");
+    expect(await service.hit("login", keys, 60, later)).toEqual({
+      limited: null,
+      retryAfter: 60,
+    });
+  });
+
+  it("drops the counters of windows that are over", async () => {
+    const store = new MemoryStore();
+    const service = new RateLimitService(new RateLimitsMemoryRepository(store));
+    await service.hit("login", keys, 60, new Date("2026-12-07T10:00:15Z"));
+    await service.hit("login", keys, 60, new Date("2026-12-07T10:05:00Z"));
+
+    expect(Object.keys(store.data.rateLimits)).toHaveLength(2);
+  });
+});
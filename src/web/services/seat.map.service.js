@@ -0,0 +1,136 @@
+const createError = require("http-errors");
+
+const seatStatus = {
+  available: "available",
+  taken: "taken",
+  blocked: "blocked",
+};
+
+const layoutSeats = function (layout) {
+  const seats = [];
+  for (let row = 1; row <= layout.rows; row++) {
+    layout.columns.forEach((group) =>
+      group.split("").forEach((column) => seats.push(row + column))
+    );
+  }
+  return seats;
+};
+
+class SeatMapService {
+  constructor(seatsRepository, aircraft) {
+    this._repo = seatsRepository;
+    this._aircraft = aircraft;
+  }
+
+  getLayout(type) {
+    return this._aircraft.find((a) => a.type == type) || this._aircraft[0];
+  }
+
+  // Seats already held by the booking looking at the map show as available
+  async getSeatMap(segment, ownSeats = []) {
+    const layout = this.getLayout(segment.aircraft);
+    const taken = (
+      await this._repo.getTakenSeats(segment.flight, segment.date)
+    ).filter((seat) => !ownSeats.includes(seat));
+    const statusOf = (seat) => {
+      if (layout.blocked.includes(seat)) return seatStatus.blocked;
+      if (taken.includes(seat)) return seatStatus.taken;
+      return seatStatus.available;
+    };
+
+    const rows = [];
+    for (let number = 1; number <= layout.rows; number++) {
+      rows.push({
+        number,
+        exit: layout.exitRows.includes(number),
+        groups: layout.columns.map((group) =>
+          group.split("").map((column) => {
+            const seat = number + column;
+            const status = statusOf(seat);
+            return {
+              seat,
+              status,
+              available: status == seatStatus.available,
+            };
+          })
+        ),
+      });
+    }
+
+    return {
+      flight: segment.flight,
+      date: segment.date,
+      aircraft: layout.type,
+      rows,
+      available: layoutSeats(layout).filter(
+        (seat) => statusOf(seat) == seatStatus.available
+      ),
+    };
+  }
+
+  // Seats next to each other in the same row, away from exit rows if possible
+  suggestSeats(seatMap, count) {
+    const rows = seatMap.rows
+      .filter((r) => !r.exit)
+      .concat(seatMap.rows.filter((r) => r.exit));
+    for (const row of rows) {
+      for (const group of row.groups) {
+        for (let i = 0; i + count <= group.length; i++) {
+          const block = group.slice(i, i + count);
+          if (block.every((s) => s.available)) return block.map((s) => s.seat);
+        }
+      }
+    }
+    return seatMap.available.slice(0, count);
+  }
+
+  // Seats the booking already holds stay as they are, the others are reserved.
+  // Returns the seats it reserved.
+  async reserveSeats(bookingId, segment, seats, passengers, held = []) {
+    const layout = this.getLayout(segment.aircraft);
+    const valid = layoutSeats(layout);
+    const unique = new Set(seats);
+    if (
+      seats.length != passengers ||
+      unique.size != seats.length ||
+      seats.some((s) => !valid.includes(s) || layout.blocked.includes(s))
+    ) {
+      throw createError(400, `Invalid seats for flight ${segment.flight}`);
+    }
+
+    const added = seats.filter((s) => !held.includes(s));
+    const reserved =
+      !added.length ||
+      (await this._repo.reserveSeats(
+        segment.flight,
+        segment.date,
+        added,
+        bookingId
+      ));
+    if (!reserved) {
+      throw createError(
+        409,
+        `Some of the seats on flight ${segment.flight} were just taken`
+      );
+    }
+    return added;
+  }
+
+  // Every seat of the booking, the ones on a segment or only some of those
+  async releaseSeats(bookingId, segment, seats) {
+    if (segment) {
+      await this._repo.releaseSeats(
+        bookingId,
+        segment.flight,
+        segment.date,
+        seats
+      );
+    } else {
+      await this._repo.releaseSeats(bookingId);
+    }
+  }
+}
+
+SeatMapService.seatStatus = seatStatus;
+
+module.exports = SeatMapService;
@@ -0,0 +1,100 @@
+const SeatMapService = require("./seat.map.service");
+
+const aircraft = [
+  {
+    type: "T1",
+    rows: 3,
+    columns: ["AB", "CD"],
+    exitRows: [1],
+    blocked: ["3D"],
+  },
+];
+const segment = { flight: "CA1", date: "2025-11-03", aircraft: "T1" };
+
+const seatsRepository = (taken = [], reserved = true) => ({
+  getTakenSeats: jest.fn(async () => taken),
+  reserveSeats: jest.fn(async () => reserved),
+  releaseSeats: jest.fn(async () => {}),
+});
+
+describe("[Unit] That Seat Map Service", () => {
+  it("marks taken and blocked seats", async () => {
+    const seatMapService = new SeatMapService(
+      seatsRepository(["2A"]),
+      aircraft
+    );
+
+    const seatMap = await seatMapService.getSeatMap(segment);
+    expect(seatMap.rows).toHaveLength(3);
+    expect(seatMap.rows[0].exit).toBe(true);
+    expect(seatMap.rows[1].groups[0][0]).toMatchObject({
+      seat: "2A",
+      status: "taken",
+      available: false,
+    });
+    expect(seatMap.rows[2].groups[1][1].status).toBe("blocked");
+    expect(seatMap.available).not.toContain("2A");
+    expect(seatMap.available).not.toContain("3D");
+    expect(seatMap.available).toHaveLength(10);
+  });
+
+  it("shows the seats of the booking as available", async () => {
+    const seatMapService = new SeatMapService(
+      seatsRepository(["2A", "2B"]),
+      aircraft
+    );
+
+    const seatMap = await seatMapService.getSeatMap(segment, ["2A"]);
+    expect(seatMap.available).toContain("2A");
+    expect(seatMap.available).not.toContain("2B");
+  });
+
+  it("suggests seats together away from exit rows", async () => {
+    const seatMapService = new SeatMapService(
+      seatsRepository(["2A"]),
+      aircraft
+    );
+
+    const seatMap = await seatMapService.getSeatMap(segment);
+    expect(seatMapService.suggestSeats(seatMap, 2)).toEqual(["2C", "2D"]);
+  });
+
+  it("rejects invalid seats", async () => {
+    const repo = seatsRepository();
+    const seatMapService = new SeatMapService(repo, aircraft);
+
+    await expect(
+      seatMapService.reserveSeats("b1", segment, ["2A"], 2)
+    ).rejects.toHaveProperty("status", 400);
+    await expect(
+      seatMapService.reserveSeats("b1", segment, ["2A", "2A"], 2)
+    ).rejects.toHaveProperty("status", 400);
+    await expect(
+      seatMapService.reserveSeats("b1", segment, ["3D"], 1)
+    ).rejects.toHaveProperty("status", 400);
+    await expect(
+      seatMapService.reserveSeats("b1", segment, ["9A"], 1)
+    ).rejects.toHaveProperty("status", 400);
+    expect(repo.reserveSeats).not.toBeCalled();
+  });
+
+  it("fails with a conflict when the seats were just taken", async () => {
+    const repo = seatsRepository([], false);
+    const seatMapService = new SeatMapService(repo, aircraft);
+
+    await expect(
+      seatMapService.reserveSeats("b1", segment, ["2A"], 1)
+    ).rejects.toHaveProperty("status", 409);
+    expect(repo.reserveSeats).toBeCalledWith("CA1", "2025-11-03", ["2A"], "b1");
+  });
+
+  it("only reserves the seats the booking doesn't hold yet", async () => {
+    const repo = seatsRepository([], true);
+    const seatMapService = new SeatMapService(repo, aircraft);
+
+    expect(
+      await seatMapService.reserveSeats("b1", segment, ["2A", "2B"], 2, ["2A"])
+    ).toEqual(["2B"]);
+    expect(repo.reserveSeats).toBeCalledWith("CA1", "2025-11-03", ["2B"], "b1");
+  });
+});
@@ -0,0 +1,187 @@
+const crypto = require("crypto");
+const createError = require("http-errors");
+const jwt = require("jsonwebtoken");
+
+const scopes = {
+  bookingsRead: "bookings:read",
+  bookingsWrite: "bookings:write",
+};
+
+const kinds = {
+  access: "access",
+  refresh: "refresh",
+};
+
+const issuer = "contoso-air";
+const audience = "contoso-air-api";
+const algorithm = "HS256";
+
+// Minutes an access token can be used and days a refresh token can be
+// exchanged for new ones
+const accessMinutes = 15;
+const refreshDays = 30;
+
+const invalidRefreshToken = "The refresh token is not valid";
+
+// Refresh tokens are only kept hashed, like passwords
+const hash = (token) => crypto.createHash("sha256").update(token).digest("hex");
+
+const seconds = (date) => Math.floor(date.getTime() / 1000);
+
+// Every scope when none is asked for
+const parseScope = function (scope) {
+  const all = Object.values(scopes);
+  const asked = String(scope || "")
+    .split(" ")
+    .filter((s) => s);
+  const unknown = asked.filter((s) => !all.includes(s));
+  if (unknown.length) {
+    throw createError(400, `Unknown scope ${unknown.join(" ")}`);
+  }
+  return asked.length ? [...new Set(asked)] : all;
+};
+
+class TokenService {
+  constructor(tokensRepository, accounts, secrets, options = {}) {
+    this._repo = tokensRepository;
+    this._accounts = accounts;
+    this._secrets = secrets;
+    this._accessMinutes = options.accessMinutes || accessMinutes;
+    this._refreshDays = options.refreshDays || refreshDays;
+  }
+
+  // How long access tokens last here, which the API docs tell clients
+  get accessMinutes() {
+    return this._accessMinutes;
+  }
+
+  // A short-lived signed access token and a refresh token to get the next
+  // ones. Refresh tokens handed one after the other form a family.
+  async _issue(user, granted, family, now) {
+    const expiresIn = this._accessMinutes * 60;
+    const scope = granted.join(" ");
+    const accessToken = jwt.sign(
+      { scope, iat: seconds(now) },
+      this._secrets[0],
+      {
+        algorithm,
+        expiresIn,
+        issuer,
+        audience,
+        subject: user,
+        jwtid: crypto.randomUUID(),
+      }
+    );
+    const refreshToken = crypto.randomBytes(32).toString("hex");
+    await this._repo.create({
+      id: hash(refreshToken),
+      kind: kinds.refresh,
+      user,
+      scope,
+      family: family || crypto.randomUUID(),
+      revoked: false,
+      expiresAt: new Date(now.getTime() + this._refreshDays * 86400000),
+    });
+    return {
+      access_token: accessToken,
+      token_type: "Bearer",
+      expires_in: expiresIn,
+      refresh_token: refreshToken,
+      scope,
+    };
+  }
+
+  // Exchanges the credentials of an account for tokens. Returns { token } or
+  // { error }, the login error of the account.
+  async createToken(username, password, scope, now = new Date()) {
+    const granted = parseScope(scope);
+    const { account, error } = await this._accounts.authenticate(
+      username,
+      password,
+      now
+    );
+    if (error) return { error };
+    return { token: await this._issue(account.name, granted, null, now) };
+  }
+
+  // Refresh tokens work once. When one is used again, someone else has it, so
+  // its whole family is revoked.
+  async refresh(refreshToken, now = new Date()) {
+    const token = await this._repo.get(hash(String(refreshToken || "")));
+    if (
+      !token ||
+      token.kind != kinds.refresh ||
+      new Date(token.expiresAt) <= now
+    ) {
+      throw createError(400, invalidRefreshToken);
+    }
+    if (!(await this._repo.revoke(token.id))) {
+      await this._repo.revokeFamily(token.family);
+      throw createError(400, invalidRefreshToken);
+    }
+    if (!(await this._accounts.getByName(token.user))) {
+      throw createError(400, invalidRefreshToken);
+    }
+    return await this._issue(
+      token.user,
+      token.scope.split(" "),
+      token.family,
+      now
+    );
+  }
+
+  _decode(accessToken, now, ignoreExpiration = false) {
+    for (const secret of this._secrets) {
+      try {
+        return jwt.verify(accessToken, secret, {
+          algorithms: [algorithm],
+          issuer,
+          audience,
+          clockTimestamp: seconds(now),
+          ignoreExpiration,
+        });
+      } catch (error) {
+        // Tokens signed with a secret that was rotated out are still valid
+        if (error.message != "invalid signature") return null;
+      }
+    }
+    return null;
+  }
+
+  // Revokes access tokens until they expire and refresh tokens along with
+  // their family. Unknown tokens are ignored.
+  async revoke(token, now = new Date()) {
+    const payload = this._decode(String(token || ""), now, true);
+    if (payload) {
+      await this._repo.create({
+        id: payload.jti,
+        kind: kinds.access,
+        user: payload.sub,
+        revoked: true,
+        expiresAt: new Date(payload.exp * 1000),
+      });
+      return;
+    }
+    const refreshToken = await this._repo.get(hash(String(token || "")));
+    if (refreshToken) {
+      await this._repo.revokeFamily(refreshToken.family);
+    }
+  }
+
+  // The account and scopes of a valid access token, or null
+  async verify(accessToken, now = new Date()) {
+    const payload = this._decode(accessToken, now);
+    if (!payload) return null;
+    const revoked = await this._repo.get(payload.jti);
+    if (revoked && revoked.revoked) return null;
+    const account = await this._accounts.getByName(payload.sub);
+    if (!account) return null;
+    return { account, scopes: payload.scope.split(" ") };
+  }
+}
+
+TokenService.scopes = scopes;
+TokenService.accessMinutes = accessMinutes;
+TokenService.refreshDays = refreshDays;
+
+module.exports = TokenService;
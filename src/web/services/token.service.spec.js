@@ -0,0 +1,129 @@
+const TokenService = require("./token.service");
+const AccountService = require("./account.service");
+const AccountsMemoryRepository = require("../repositories/accounts.memory.repository");
+const TokensMemoryRepository = require("../repositories/tokens.memory.repository");
+const MemoryStore = require("../repositories/memory.store");
+
+const { bookingsRead, bookingsWrite } = TokenService.scopes;
+
+const createService = async function (secrets = ["secret"]) {
+  const store = new MemoryStore();
+  const accountService = new AccountService(
+    new AccountsMemoryRepository(store)
+  );
+  await accountService.register({
+    username: "alice",
+    email: "alice@example.com",
+    password: "correct horse",
+    confirm: "correct horse",
+  });
+  const tokenService = new TokenService(
+    new TokensMemoryRepository(store),
+    accountService,
+    secrets
+  );
+  return { store, tokenService };
+};
+
+const login = async function (tokenService, scope, now) {
+  const { token } = await tokenService.createToken(
+    "alice",
+    "correct horse",
+    scope,
+    now
+  );
+  return token;
+};
+
+describe("[Unit] That Token Service", () => {
+  it("exchanges credentials for tokens with the scopes asked for", async () => {
+    const { tokenService } = await createService();
+
+    expect(
+      await tokenService.createToken("alice", "wrong", bookingsRead)
+    ).toEqual({ error: AccountService.loginErrors.invalid });
+    await expect(
+      tokenService.createToken("alice", "correct horse", "everything")
+    ).rejects.toHaveProperty("status", 400);
+
+    const token = await login(tokenService, bookingsRead);
+    expect(token).toMatchObject({
+      token_type: "Bearer",
+      expires_in: TokenService.accessMinutes * 60,
+      scope: bookingsRead,
+    });
+    expect(await tokenService.verify(token.access_token)).toEqual({
+      account: { name: "alice", email: "alice@example.com", role: "customer" },
+      scopes: [bookingsRead],
+    });
+    expect((await login(tokenService)).scope.split(" ").sort()).toEqual([
+      bookingsRead,
+      bookingsWrite,
+    ]);
+  });
+
+  it("only accepts access tokens until they expire", async () => {
+    const { tokenService } = await createService();
+    const now = new Date("2026-01-01T10:00:00Z");
+    const token = await login(tokenService, null, now);
+
+    const later = new Date("2026-01-01T10:14:00Z");
+    expect(await tokenService.verify(token.access_token, later)).not.toBeNull();
+    const expired = new Date("2026-01-01T10:16:00Z");
+    expect(await tokenService.verify(token.access_token, expired)).toBeNull();
+    expect(await tokenService.verify("not a token")).toBeNull();
+  });
+
+  it("tells how long access tokens last", () => {
+    expect(new TokenService(null, null, ["secret"]).accessMinutes).toBe(
+      TokenService.accessMinutes
+    );
+    const options = { accessMinutes: 30 };
+    expect(
+      new TokenService(null, null, ["secret"], options).accessMinutes
+    ).toBe(30);
+  });
+
+  it("keeps accepting tokens signed with a rotated secret", async () => {
+    const { store } = await createService();
+    const accounts = new AccountService(new AccountsMemoryRepository(store));
+    const repository = new TokensMemoryRepository(store);
+    const before = new TokenService(repository, accounts, ["old"]);
+    const token = await login(before);
+
+    const rotated = new TokenService(repository, accounts, ["new", "old"]);
+    expect(await rotated.verify(token.access_token)).not.toBeNull();
+    const dropped = new TokenService(repository, accounts, ["new"]);
+    expect(await dropped.verify(token.access_token)).toBeNull();
+  });
+
+  it("refreshes tokens once and revokes the family on reuse", async () => {
+    const { tokenService, store } = await createService();
+    const first = await login(tokenService, bookingsRead);
+
+    const second = await tokenService.refresh(first.refresh_token);
+    expect(second.scope).toBe(bookingsRead);
+    expect(store.data.tokens.map((t) => t.id)).not.toContain(
+      first.refresh_token
+    );
+    await expect(
+      tokenService.refresh(first.refresh_token)
+    ).rejects.toHaveProperty("status", 400);
+    await expect(
+      tokenService.refresh(second.refresh_token)
+    ).rejects.toHaveProperty("status", 400);
+  });
+
+  it("revokes access and refresh tokens", async () => {
+    const { tokenService } = await createService();
+    const token = await login(tokenService);
+
+    await tokenService.revoke(token.access_token);
+    expect(await tokenService.verify(token.access_token)).toBeNull();
+    await tokenService.revoke(token.refresh_token);
+    await expect(
+      tokenService.refresh(token.refresh_token)
+    ).rejects.toHaveProperty("status", 400);
+    await expect(tokenService.revoke("unknown")).resolves.toBeUndefined();
+  });
+});